@@ -0,0 +1,453 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { CohereClient } from 'cohere-ai';
+import Groq from 'groq-sdk';
+import { readFileSync } from 'fs';
+
+// AI provider adapters. Each adapter knows how to build a client and how to send a chat request
+// (whole or streamed) for one API. ai-providers.js turns the configured adapters into providers
+// and handles prompting, failover and rate limits.
+//
+// Every adapter is configured from environment variables with its own prefix:
+//   <PREFIX>_API_KEYS  - Comma-separated keys, each with its own cooldown (see key-pool.js)
+//   <PREFIX>_API_KEY   - A single key; a provider without keys is skipped unless the adapter needs none
+//   <PREFIX>_MODEL     - Model name (falls back to the adapter default)
+//   <PREFIX>_BASE_URL  - API base URL (falls back to the SDK default)
+//   <PREFIX>_PRIORITY  - Failover order, lowest first
+//   <PREFIX>_DAILY_QUOTA - Requests per day the plan allows (optional, shown on the usage dashboard)
+//   <PREFIX>_TIMEOUT_MS - Milliseconds to wait for an answer, or for the next chunk of a stream (default 20000)
+//   <PREFIX>_HISTORY_TOKENS - Estimated tokens of conversation history sent with each message
+//                           (falls back to the adapter's historyTokens; older turns are dropped)
+//
+// chat() resolves to { text, usage } and stream() yields text chunks, plus one { usage } object
+// when the API reports token counts. usage is { promptTokens, completionTokens, totalTokens } or null.
+// Both take an optional last argument { maxTokens } to cap the answer length differently from the default
+// (DEFAULT_MAX_TOKENS for chat completions APIs, the API's own default for Gemini and Cohere).
+
+const DEFAULT_MAX_TOKENS = 1024;
+
+// ==================== REQUEST BUILDERS ====================
+
+// Gemini takes a single prompt, so the system context and history are inlined
+function buildGeminiPrompt(userMessage, conversationHistory, systemPrompt) {
+  return conversationHistory.length > 0
+    ? `${systemPrompt}\n\nConversation so far:\n${conversationHistory.map(m => `${m.role}: ${m.content}`).join('\n')}\n\nUser: ${userMessage}\n\nAssistant:`
+    : `${systemPrompt}\n\nUser: ${userMessage}\n\nAssistant:`;
+}
+
+// Cohere request body
+function buildCohereRequest(model, userMessage, conversationHistory, systemPrompt, maxTokens = null) {
+  return {
+    message: userMessage,
+    preamble: systemPrompt,
+    chatHistory: conversationHistory.map(msg => ({
+      role: msg.role === 'assistant' ? 'CHATBOT' : 'USER',
+      message: msg.content
+    })),
+    model,
+    ...(maxTokens && { maxTokens })
+  };
+}
+
+// OpenAI-style chat completions body (Groq and OpenAI-compatible servers)
+function buildChatCompletionsRequest(model, userMessage, conversationHistory, systemPrompt, maxTokens = DEFAULT_MAX_TOKENS) {
+  return {
+    messages: [
+      { role: 'system', content: systemPrompt },
+      ...conversationHistory,
+      { role: 'user', content: userMessage }
+    ],
+    model,
+    temperature: 0.7,
+    max_tokens: maxTokens,
+    top_p: 0.9
+  };
+}
+
+// ==================== TOKEN USAGE ====================
+
+function geminiUsage(metadata) {
+  return metadata
+    ? { promptTokens: metadata.promptTokenCount, completionTokens: metadata.candidatesTokenCount, totalTokens: metadata.totalTokenCount }
+    : null;
+}
+
+function cohereUsage(meta) {
+  const tokens = meta?.billedUnits || meta?.tokens;
+  if (!tokens) return null;
+  const promptTokens = tokens.inputTokens ?? null;
+  const completionTokens = tokens.outputTokens ?? null;
+  return { promptTokens, completionTokens, totalTokens: (promptTokens || 0) + (completionTokens || 0) };
+}
+
+// OpenAI-style usage object (Groq and OpenAI-compatible servers)
+function chatCompletionsUsage(usage) {
+  return usage
+    ? { promptTokens: usage.prompt_tokens, completionTokens: usage.completion_tokens, totalTokens: usage.total_tokens }
+    : null;
+}
+
+// ==================== OPENAI-COMPATIBLE HTTP CLIENT ====================
+
+// Error carrying the HTTP status and headers, so rate limit and auth failures are detected like SDK errors
+class ProviderHttpError extends Error {
+  constructor(status, message, headers = null) {
+    super(message);
+    this.name = 'ProviderHttpError';
+    this.status = status;
+    this.headers = headers;
+  }
+}
+
+// POST to {baseURL}/chat/completions; works with Ollama, llama.cpp server, vLLM, LM Studio and OpenAI itself
+async function postChatCompletions(client, body) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (client.apiKey) {
+    headers.Authorization = `Bearer ${client.apiKey}`;
+  }
+
+  const response = await fetch(`${client.baseURL.replace(/\/+$/, '')}/chat/completions`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(body)
+  });
+
+  if (!response.ok) {
+    const detail = await response.text().catch(() => '');
+    throw new ProviderHttpError(response.status, `HTTP ${response.status}: ${detail.slice(0, 200) || response.statusText}`, response.headers);
+  }
+  return response;
+}
+
+// Yield the JSON payloads of an OpenAI-style SSE stream until [DONE]
+async function* readChatCompletionChunks(response) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const bytes of response.body) {
+    buffer += decoder.decode(bytes, { stream: true });
+
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newline).trim();
+      buffer = buffer.slice(newline + 1);
+
+      if (!line.startsWith('data:')) continue;
+      const data = line.slice(5).trim();
+      if (data === '[DONE]') return;
+      yield JSON.parse(data);
+    }
+  }
+}
+
+// ==================== RETRY HINTS ====================
+
+// Read one header from a fetch Headers object or a plain header map
+function readHeader(headers, name) {
+  if (!headers) return null;
+  if (typeof headers.get === 'function') return headers.get(name);
+  const key = Object.keys(headers).find(k => k.toLowerCase() === name);
+  return key ? headers[key] : null;
+}
+
+// Durations such as "30", "7.66s", "2m59.56s", "1h2m" or "250ms", in seconds
+function parseDuration(value) {
+  const text = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(text)) return parseFloat(text);
+
+  const units = { h: 3600, m: 60, s: 1, ms: 0.001 };
+  let seconds = 0;
+  let matched = false;
+  for (const [, amount, unit] of text.matchAll(/(\d+(?:\.\d+)?)(ms|h|m|s)/g)) {
+    seconds += parseFloat(amount) * units[unit];
+    matched = true;
+  }
+  return matched ? seconds : null;
+}
+
+/**
+ * How long the provider asked us to wait before retrying, from Retry-After, the
+ * x-ratelimit-reset-* headers (Groq, OpenAI and compatible servers) or Gemini's RetryInfo
+ * @param {Error} error - Error thrown by an adapter
+ * @returns {number|null} Seconds, or null when the provider gave no hint
+ */
+export function retryAfterSeconds(error) {
+  const headers = error?.headers || error?.response?.headers || error?.rawResponse?.headers;
+  const candidates = [];
+
+  const retryAfter = readHeader(headers, 'retry-after');
+  if (retryAfter) {
+    const seconds = parseDuration(retryAfter);
+    // Retry-After may also be an HTTP date
+    candidates.push(seconds ?? (Date.parse(retryAfter) - Date.now()) / 1000);
+  }
+  for (const name of ['x-ratelimit-reset-requests', 'x-ratelimit-reset-tokens', 'x-ratelimit-reset']) {
+    const value = readHeader(headers, name);
+    if (!value) continue;
+    const seconds = parseDuration(value);
+    // Some servers send an epoch timestamp instead of a duration
+    candidates.push(seconds > 1e9 ? seconds - Date.now() / 1000 : seconds);
+  }
+
+  const retryInfo = error?.errorDetails?.find(detail => String(detail['@type'] || '').endsWith('RetryInfo'));
+  if (retryInfo?.retryDelay) candidates.push(parseDuration(retryInfo.retryDelay));
+
+  const valid = candidates.filter(seconds => Number.isFinite(seconds) && seconds > 0);
+  return valid.length > 0 ? Math.ceil(Math.max(...valid)) : null;
+}
+
+// ==================== ADAPTERS ====================
+
+export const geminiAdapter = {
+  name: 'gemini',
+  envPrefix: 'GEMINI',
+  priority: 1,
+  // flash-lite for lower quota usage
+  model: 'gemini-2.0-flash-lite',
+  // Gemini inlines the history into a single prompt
+  historyTokens: 4000,
+
+  createClient({ apiKey }) {
+    return new GoogleGenerativeAI(apiKey);
+  },
+
+  async chat({ client, model, baseURL }, userMessage, conversationHistory, systemPrompt, { maxTokens } = {}) {
+    const generativeModel = client.getGenerativeModel(
+      maxTokens ? { model, generationConfig: { maxOutputTokens: maxTokens } } : { model },
+      baseURL ? { baseUrl: baseURL } : undefined
+    );
+    const result = await generativeModel.generateContent(buildGeminiPrompt(userMessage, conversationHistory, systemPrompt));
+    return { text: result.response.text(), usage: geminiUsage(result.response.usageMetadata) };
+  },
+
+  async* stream({ client, model, baseURL }, userMessage, conversationHistory, systemPrompt, { maxTokens } = {}) {
+    const generativeModel = client.getGenerativeModel(
+      maxTokens ? { model, generationConfig: { maxOutputTokens: maxTokens } } : { model },
+      baseURL ? { baseUrl: baseURL } : undefined
+    );
+    const result = await generativeModel.generateContentStream(buildGeminiPrompt(userMessage, conversationHistory, systemPrompt));
+    for await (const chunk of result.stream) {
+      yield chunk.text();
+    }
+    const response = await result.response;
+    const usage = geminiUsage(response.usageMetadata);
+    if (usage) yield { usage };
+  }
+};
+
+export const cohereAdapter = {
+  name: 'cohere',
+  envPrefix: 'COHERE',
+  priority: 2,
+  // Smaller 7B model for lower quota usage
+  model: 'command-r7b-12-2024',
+  historyTokens: 4000,
+
+  createClient({ apiKey, baseURL }) {
+    return new CohereClient(baseURL ? { token: apiKey, environment: baseURL } : { token: apiKey });
+  },
+
+  async chat({ client, model }, userMessage, conversationHistory, systemPrompt, { maxTokens } = {}) {
+    const response = await client.chat(buildCohereRequest(model, userMessage, conversationHistory, systemPrompt, maxTokens));
+    return { text: response.text, usage: cohereUsage(response.meta) };
+  },
+
+  async* stream({ client, model }, userMessage, conversationHistory, systemPrompt, { maxTokens } = {}) {
+    const stream = await client.chatStream(buildCohereRequest(model, userMessage, conversationHistory, systemPrompt, maxTokens));
+    for await (const event of stream) {
+      if (event.eventType === 'text-generation') {
+        yield event.text;
+      } else if (event.eventType === 'stream-end') {
+        const usage = cohereUsage(event.response?.meta);
+        if (usage) yield { usage };
+      }
+    }
+  }
+};
+
+export const groqAdapter = {
+  name: 'groq',
+  envPrefix: 'GROQ',
+  priority: 3,
+  model: 'llama-3.1-8b-instant',
+  // Free tier tokens-per-minute limits are tight
+  historyTokens: 2000,
+
+  createClient({ apiKey, baseURL }) {
+    return new Groq(baseURL ? { apiKey, baseURL } : { apiKey });
+  },
+
+  async chat({ client, model }, userMessage, conversationHistory, systemPrompt, { maxTokens } = {}) {
+    const completion = await client.chat.completions.create(
+      buildChatCompletionsRequest(model, userMessage, conversationHistory, systemPrompt, maxTokens)
+    );
+    return { text: completion.choices[0]?.message?.content || '', usage: chatCompletionsUsage(completion.usage) };
+  },
+
+  async* stream({ client, model }, userMessage, conversationHistory, systemPrompt, { maxTokens } = {}) {
+    const stream = await client.chat.completions.create({
+      ...buildChatCompletionsRequest(model, userMessage, conversationHistory, systemPrompt, maxTokens),
+      stream: true
+    });
+    for await (const chunk of stream) {
+      yield chunk.choices[0]?.delta?.content || '';
+      // Groq reports usage in the final chunk
+      if (chunk.x_groq?.usage) yield { usage: chatCompletionsUsage(chunk.x_groq.usage) };
+    }
+  }
+};
+
+// Any server speaking the OpenAI chat completions API, e.g. a campus Ollama box:
+//   OPENAI_COMPAT_BASE_URL=http://10.0.0.5:11434/v1  OPENAI_COMPAT_MODEL=llama3.1
+// Local servers usually need no key, so the base URL alone enables it. OPENAI_COMPAT_NAME
+// sets the provider name shown in logs and getProvidersInfo().
+export const openAICompatibleAdapter = {
+  name: process.env.OPENAI_COMPAT_NAME || 'openai-compatible',
+  envPrefix: 'OPENAI_COMPAT',
+  priority: 4,
+  model: 'llama3.1',
+  // Local servers often run with a small context window
+  historyTokens: 2000,
+  requiresApiKey: false,
+  requiresBaseURL: true,
+
+  createClient({ apiKey, baseURL }) {
+    return { apiKey, baseURL };
+  },
+
+  async chat({ client, model }, userMessage, conversationHistory, systemPrompt, { maxTokens } = {}) {
+    const response = await postChatCompletions(
+      client,
+      buildChatCompletionsRequest(model, userMessage, conversationHistory, systemPrompt, maxTokens)
+    );
+    const completion = await response.json();
+    return { text: completion.choices?.[0]?.message?.content || '', usage: chatCompletionsUsage(completion.usage) };
+  },
+
+  async* stream({ client, model }, userMessage, conversationHistory, systemPrompt, { maxTokens } = {}) {
+    const response = await postChatCompletions(client, {
+      ...buildChatCompletionsRequest(model, userMessage, conversationHistory, systemPrompt, maxTokens),
+      stream: true,
+      stream_options: { include_usage: true }
+    });
+    for await (const chunk of readChatCompletionChunks(response)) {
+      yield chunk.choices?.[0]?.delta?.content || '';
+      if (chunk.usage) yield { usage: chatCompletionsUsage(chunk.usage) };
+    }
+  }
+};
+
+// ==================== MOCK PROVIDER ====================
+
+// Offline provider for development and tests, enabled by <PREFIX>_MODE:
+//   echo           - answer "Echo: <message>", citing the first retrieved FAQ entry
+//   script         - answer from the JSON file in <PREFIX>_SCRIPT ([{ "match": "enroll", "response": "..." }],
+//                    match is a case-insensitive substring or a /regex/), falling back to echo
+//   rate_limit, auth_error, server_error, timeout - fail like a real provider (429 with Retry-After, 401, 503, no answer)
+//   fail_mid_stream - stream part of the answer, then fail
+// A comma-separated list (e.g. "rate_limit,echo") is played in order, one step per request, and repeats.
+// A key named after a failure (MOCK_AI_API_KEYS=rate_limit,ok) always fails that way, to exercise key rotation.
+// <PREFIX>_DELAY_MS slows down answers and every streamed word; <PREFIX>_RETRY_AFTER sets the 429 cooldown (seconds).
+const MOCK_FAILURES = ['rate_limit', 'auth_error', 'server_error', 'timeout', 'fail_mid_stream'];
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Create a mock adapter; two are built in (mock and mock-backup) so provider failover can be tested too
+ * @param {string} name - Provider name
+ * @param {string} envPrefix - Environment prefix
+ * @param {number} priority - Default priority
+ * @returns {Object} Adapter
+ */
+export function createMockAdapter(name, envPrefix, priority) {
+  const env = key => process.env[`${envPrefix}_${key}`];
+  let step = 0;
+  let script = null;
+
+  // This request's behaviour: a failure named by the key wins over the MODE sequence
+  function nextBehaviour(apiKey) {
+    if (MOCK_FAILURES.includes(apiKey)) return apiKey;
+    const sequence = (env('MODE') || 'echo').split(',').map(m => m.trim()).filter(Boolean);
+    return sequence[step++ % sequence.length];
+  }
+
+  function scriptedResponse(userMessage) {
+    if (!script) {
+      script = env('SCRIPT') ? JSON.parse(readFileSync(env('SCRIPT'), 'utf8')) : [];
+    }
+    const entry = script.find(({ match }) => {
+      const regex = /^\/(.*)\/$/.exec(match);
+      return regex ? new RegExp(regex[1], 'i').test(userMessage) : userMessage.toLowerCase().includes(String(match).toLowerCase());
+    });
+    return entry?.response;
+  }
+
+  function respond(behaviour, userMessage, systemPrompt) {
+    const scripted = behaviour === 'script' ? scriptedResponse(userMessage) : null;
+    if (scripted) return scripted;
+    const citation = systemPrompt.match(/\[FAQ #\d+\]/);
+    return `Echo: ${userMessage}${citation ? ` ${citation[0]}` : ''}`;
+  }
+
+  // Throw the error a real provider would, or hang for a timeout
+  async function simulateFailure(behaviour) {
+    if (behaviour === 'rate_limit') {
+      const retryAfter = env('RETRY_AFTER') || '30';
+      throw new ProviderHttpError(429, `HTTP 429: ${name} rate limit exceeded`, { 'retry-after': retryAfter });
+    }
+    if (behaviour === 'auth_error') throw new ProviderHttpError(401, `HTTP 401: ${name} invalid API key`);
+    if (behaviour === 'server_error') throw new ProviderHttpError(503, `HTTP 503: ${name} service unavailable`);
+    // Never settles; the provider timeout gives up on it
+    if (behaviour === 'timeout') await new Promise(() => {});
+  }
+
+  function usageFor(systemPrompt, userMessage, text) {
+    const promptTokens = Math.ceil((systemPrompt.length + userMessage.length) / 4);
+    const completionTokens = Math.ceil(text.length / 4);
+    return { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens };
+  }
+
+  return {
+    name,
+    envPrefix,
+    priority,
+    model: 'mock-1',
+    historyTokens: 2000,
+    requiresApiKey: false,
+    requiresEnv: 'MODE',
+
+    createClient({ apiKey }) {
+      return { apiKey };
+    },
+
+    async chat({ client }, userMessage, conversationHistory, systemPrompt) {
+      const behaviour = nextBehaviour(client.apiKey);
+      await sleep(parseInt(env('DELAY_MS')) || 0);
+      await simulateFailure(behaviour);
+      const text = respond(behaviour, userMessage, systemPrompt);
+      return { text, usage: usageFor(systemPrompt, userMessage, text) };
+    },
+
+    async* stream({ client }, userMessage, conversationHistory, systemPrompt) {
+      const behaviour = nextBehaviour(client.apiKey);
+      await simulateFailure(behaviour);
+      const text = respond(behaviour, userMessage, systemPrompt);
+      const words = text.split(/(?<=\s)/);
+      const delay = parseInt(env('DELAY_MS')) || 0;
+
+      for (let i = 0; i < words.length; i++) {
+        if (behaviour === 'fail_mid_stream' && i === Math.ceil(words.length / 2)) {
+          throw new ProviderHttpError(500, `HTTP 500: ${name} stream interrupted`);
+        }
+        await sleep(delay);
+        yield words[i];
+      }
+      yield { usage: usageFor(systemPrompt, userMessage, text) };
+    }
+  };
+}
+
+export const mockAdapter = createMockAdapter('mock', 'MOCK_AI', 0);
+export const mockBackupAdapter = createMockAdapter('mock-backup', 'MOCK_AI_BACKUP', 1);
+
+// Adapters registered at startup, in default priority order (the mock providers only when their MODE is set)
+export const builtInAdapters = [mockAdapter, mockBackupAdapter, geminiAdapter, cohereAdapter, groqAdapter, openAICompatibleAdapter];
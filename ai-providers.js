@@ -1,244 +1,826 @@
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import { CohereClient } from 'cohere-ai';
-import Groq from 'groq-sdk';
-
-// System context about SKSU
-const SKSU_CONTEXT = `You are an AI assistant for Sultan Kudarat State University (SKSU) Student Body Organization.
-
-SKSU Information:
-- Vision: "A premier state university in Southeast Asia"
-- Mission: Providing quality education, research, and community service
-- Location: Tacurong City, Sultan Kudarat, Philippines
-- Founded: 1983
-
-You help students with:
-- Academic policies and procedures
-- Student services and welfare
-- University rules and regulations
-- Campus life and activities
-- General inquiries about SKSU
-
-Guidelines:
-- Be helpful, friendly, and professional
-- Provide accurate information about SKSU
-- If you don't know something, admit it and suggest contacting the appropriate office
-- Keep responses concise and clear
-- Use a conversational but respectful tone`;
-
-// Provider configurations
+import { searchOps, settingsOps, promptOps, aiCacheOps, aiUsageOps, moderationOps, groundingOps, analyticsOps } from './db.js';
+import { builtInAdapters, retryAfterSeconds } from './ai-adapters.js';
+import { readKeysFromEnv, createKeyPool } from './key-pool.js';
+import { createCircuitBreaker } from './circuit-breaker.js';
+import { checkGrounding, GROUNDING_DISCLAIMER } from './grounding.js';
+import { screenInput, screenOutput, screenHistory, createOutputScreen } from './safety.js';
+import { detectLanguage, replyLanguageInstruction } from './language.js';
+
+// Retrieval settings for grounding answers in the FAQ entries stored in the database
+const RAG_MAX_ENTRIES = 3;
+const RAG_MIN_CONFIDENCE = 0.2;
+const CITATION_TAG = /\s*\[FAQ #(\d+)\]/g;
+// Trailing whitespace plus any prefix of a citation tag, e.g. " [FA"
+const PARTIAL_CITATION_TAG = /\s*(\[(F(A(Q( (#\d*)?)?)?)?)?)?$/;
+
+const PROVIDERS_UNAVAILABLE_MESSAGE = 'The AI service is currently unavailable. All providers are rate-limited or not configured. Please try again later or use FAQ mode.';
+const ALL_PROVIDERS_FAILED_MESSAGE = 'I apologize, but all AI services are currently unavailable. Please try again later or use FAQ mode for instant answers.';
+const BLOCKED_MESSAGE = 'I can only help with questions about SKSU and student life. Please rephrase your question.';
+
+// Provider circuit: opens after consecutive timeouts or server errors, then probes after 30s, 60s, ... up to 10 minutes
+const DEFAULT_TIMEOUT_MS = 20000;
+const PROVIDER_FAILURE_THRESHOLD = 3;
+const PROVIDER_BASE_COOLDOWN_SECONDS = 30;
+const PROVIDER_MAX_COOLDOWN_SECONDS = 600;
+// A rejected key is not retried for a day
+const AUTH_ERROR_COOLDOWN_SECONDS = 86400;
+
+// FAQ drafting returns up to ten question/answer drafts as JSON, far longer than a chat answer
+const DRAFT_MAX_TOKENS = 4096;
+const DRAFT_TIMEOUT_MS = 90000;
+
+// History budget for adapters that don't set historyTokens
+const DEFAULT_HISTORY_TOKENS = 2000;
+// Rough token estimate: about four characters per token for English and Filipino text
+const CHARS_PER_TOKEN = 4;
+
+const SUMMARY_SYSTEM_PROMPT = `You summarize conversations between an SKSU student and the SKSU SBO assistant.
+Write a short summary (at most 120 words) of what the student asked, what they were told, and any details
+about them that matter for later questions (course, year level, concerns). Use plain sentences, no lists.`;
+
+// Registered providers, in failover order
 const providers = [];
 
-// Initialize Gemini if key exists
-if (process.env.GEMINI_API_KEY) {
+/**
+ * Register an adapter as a provider using its environment configuration
+ * (<PREFIX>_API_KEYS / <PREFIX>_API_KEY, <PREFIX>_MODEL, <PREFIX>_BASE_URL, <PREFIX>_PRIORITY, <PREFIX>_TIMEOUT_MS,
+ * <PREFIX>_HISTORY_TOKENS).
+ * Adapters without the required key, base URL or enabling variable (requiresEnv) are skipped.
+ * @param {Object} adapter - Adapter from ai-adapters.js (name, envPrefix, priority, model, createClient, chat, stream)
+ * @returns {Object|null} The registered provider
+ */
+function registerProvider(adapter) {
+  const env = key => process.env[`${adapter.envPrefix}_${key}`];
+  const baseURL = env('BASE_URL') || '';
+  let keys = readKeysFromEnv(adapter.envPrefix);
+
+  if (adapter.requiresBaseURL && !baseURL) return null;
+  if (adapter.requiresEnv && !env(adapter.requiresEnv)) return null;
+  if (keys.length === 0) {
+    if (adapter.requiresApiKey !== false) return null;
+    keys = [''];
+  }
+
   try {
-    const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-    providers.push({
-      name: 'gemini',
-      priority: 1,
-      client: genAI,
-      limited: false,
-      resetTime: null
-    });
-    console.log('✅ Gemini provider initialized');
+    const provider = {
+      name: adapter.name,
+      adapter,
+      priority: parseInt(env('PRIORITY')) || adapter.priority,
+      model: env('MODEL') || adapter.model,
+      baseURL,
+      dailyQuota: parseInt(env('DAILY_QUOTA')) || null,
+      historyTokens: parseInt(env('HISTORY_TOKENS')) || adapter.historyTokens || DEFAULT_HISTORY_TOKENS,
+      timeoutMs: parseInt(env('TIMEOUT_MS')) || DEFAULT_TIMEOUT_MS,
+      keyPool: createKeyPool(adapter.name, keys, apiKey => adapter.createClient({ apiKey, baseURL })),
+      breaker: createCircuitBreaker({
+        name: adapter.name,
+        failureThreshold: PROVIDER_FAILURE_THRESHOLD,
+        baseCooldownSeconds: PROVIDER_BASE_COOLDOWN_SECONDS,
+        maxCooldownSeconds: PROVIDER_MAX_COOLDOWN_SECONDS
+      })
+    };
+    providers.push(provider);
+    providers.sort((a, b) => a.priority - b.priority);
+    console.log(`✅ ${adapter.name} provider initialized (${provider.model}, ${keys.length} key${keys.length === 1 ? '' : 's'})`);
+    return provider;
   } catch (e) {
-    console.error('❌ Failed to initialize Gemini:', e.message);
+    console.error(`❌ Failed to initialize ${adapter.name}:`, e.message);
+    return null;
+  }
+}
+
+for (const adapter of builtInAdapters) {
+  registerProvider(adapter);
+}
+
+console.log(`🤖 AI Providers available: ${providers.map(p => p.name).join(', ') || 'NONE'}`);
+
+// Providers whose circuit lets requests through and that have at least one key that is not cooling down
+function getAvailableProviders() {
+  return providers.filter(p => p.breaker.isAvailable() && p.keyPool.hasAvailableKey());
+}
+
+/**
+ * Every provider/key pair to try for one request, in failover order. A provider moves on
+ * to its next key only when the current key was benched; other errors move on to the next provider.
+ * A provider or key whose circuit is half-open is tried by one request at a time.
+ * @param {Array} availableProviders - Providers to try
+ */
+function* providerAttempts(availableProviders) {
+  for (const provider of availableProviders) {
+    if (!provider.breaker.allowRequest()) continue;
+    try {
+      const triedKeys = new Set();
+      let key;
+      while ((key = provider.keyPool.getAvailableClient())) {
+        if (triedKeys.has(key.keyIndex)) {
+          provider.keyPool.releaseKey(key.keyIndex);
+          break;
+        }
+        triedKeys.add(key.keyIndex);
+        yield { provider, keyIndex: key.keyIndex, connection: { ...provider, client: key.client } };
+      }
+    } finally {
+      // Hand back a half-open probe that ended without a verdict (e.g. every key was rate limited)
+      provider.breaker.releaseProbe();
+    }
   }
 }
 
-// Initialize Cohere if key exists
-if (process.env.COHERE_API_KEY) {
+// Thrown when a provider takes longer than its <PREFIX>_TIMEOUT_MS
+class ProviderTimeoutError extends Error {
+  constructor(providerName, timeoutMs) {
+    super(`${providerName} timed out after ${timeoutMs}ms`);
+    this.name = 'ProviderTimeoutError';
+  }
+}
+
+// Reject when the provider does not answer in time (its own timeout unless a longer task sets one)
+function withTimeout(promise, provider, timeoutMs = provider.timeoutMs) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new ProviderTimeoutError(provider.name, timeoutMs)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Pass a stream through, failing when the first or any following chunk takes longer than the timeout
+async function* withStreamTimeout(stream, provider) {
+  const iterator = stream[Symbol.asyncIterator]();
   try {
-    const cohere = new CohereClient({ token: process.env.COHERE_API_KEY });
-    providers.push({
-      name: 'cohere',
-      priority: 2,
-      client: cohere,
-      limited: false,
-      resetTime: null
+    while (true) {
+      const { value, done } = await withTimeout(iterator.next(), provider);
+      if (done) return;
+      yield value;
+    }
+  } finally {
+    // Stop the provider stream; not awaited because a stalled request may never settle
+    iterator.return?.().catch(() => {});
+  }
+}
+
+// Sort a provider error into rate_limited, auth_error, timeout, server_error or error
+function classifyProviderError(error) {
+  if (error instanceof ProviderTimeoutError) {
+    return 'timeout';
+  }
+
+  if (
+    error?.status === 429 ||
+    error?.statusCode === 429 ||
+    /rate limit|quota|too many requests|resource exhausted/i.test(error?.message || '')
+  ) {
+    return 'rate_limited';
+  }
+
+  if (
+    error?.status === 401 ||
+    error?.statusCode === 401 ||
+    /invalid.*key|unauthorized|authentication/i.test(error?.message || '')
+  ) {
+    return 'auth_error';
+  }
+
+  const status = error?.status ?? error?.statusCode;
+  if (
+    status >= 500 ||
+    /ECONNREFUSED|ECONNRESET|ETIMEDOUT|ENOTFOUND|fetch failed|socket hang up|service unavailable|overloaded/i.test(error?.message || '')
+  ) {
+    return 'server_error';
+  }
+
+  return 'error';
+}
+
+// Close the provider's and key's circuits after a successful answer
+function handleProviderSuccess(provider, keyIndex) {
+  provider.breaker.recordSuccess();
+  provider.keyPool.markKeySucceeded(keyIndex);
+}
+
+// Bench the key after a rate limit or auth failure (for as long as the provider asked, when it said);
+// timeouts and other errors count towards opening the provider's circuit
+function handleProviderError(provider, keyIndex, error) {
+  console.error(`❌ ${provider.name} error (key #${keyIndex + 1}):`, error.message || error);
+  const outcome = classifyProviderError(error);
+  const retryAfter = retryAfterSeconds(error);
+
+  if (outcome === 'rate_limited') {
+    provider.keyPool.markKeyLimited(keyIndex, retryAfter, 'rate limited');
+  } else if (outcome === 'auth_error') {
+    provider.keyPool.markKeyLimited(keyIndex, AUTH_ERROR_COOLDOWN_SECONDS, 'key rejected');
+  } else {
+    provider.keyPool.releaseKey(keyIndex);
+    provider.breaker.recordFailure({
+      reason: outcome === 'error' ? (error?.message || 'error').slice(0, 80) : outcome,
+      retryAfterSeconds: retryAfter
     });
-    console.log('✅ Cohere provider initialized');
-  } catch (e) {
-    console.error('❌ Failed to initialize Cohere:', e.message);
   }
+  return outcome;
 }
 
-// Initialize Groq if key exists
-if (process.env.GROQ_API_KEY || process.env.GROQ_API_KEYS) {
+// Log one provider attempt for the usage dashboard; a logging failure must never break the answer
+function recordUsage(provider, keyIndex, mode, startedAt, promptChars, details) {
   try {
-    const key = process.env.GROQ_API_KEY || process.env.GROQ_API_KEYS?.split(',')[0];
-    if (key) {
-      const groq = new Groq({ apiKey: key });
-      providers.push({
-        name: 'groq',
-        priority: 3,
-        client: groq,
-        limited: false,
-        resetTime: null
-      });
-      console.log('✅ Groq provider initialized');
-    }
-  } catch (e) {
-    console.error('❌ Failed to initialize Groq:', e.message);
+    aiUsageOps.log({
+      provider: provider.name,
+      model: provider.model,
+      keyIndex,
+      mode,
+      latencyMs: performance.now() - startedAt,
+      promptChars,
+      ...details
+    });
+  } catch (error) {
+    console.error('❌ Failed to log AI usage:', error.message || error);
   }
 }
 
-console.log(`🤖 AI Providers available: ${providers.map(p => p.name).join(', ') || 'NONE'}`);
+// Error class name recorded with failed attempts, e.g. RateLimitError or GoogleGenerativeAIFetchError
+function errorClassOf(error) {
+  return error?.constructor?.name && error.constructor.name !== 'Object' ? error.constructor.name : (error?.name || typeof error);
+}
 
-function markProviderLimited(providerName, seconds = 3600) {
-  const provider = providers.find(p => p.name === providerName);
-  if (provider) {
-    provider.limited = true;
-    provider.resetTime = Date.now() + seconds * 1000;
-    console.warn(`⚠️ ${providerName} marked limited until ${new Date(provider.resetTime).toISOString()}`);
+/**
+ * Estimate the number of tokens in a text without a tokenizer
+ * @param {string} text - Any text
+ * @returns {number} Estimated tokens
+ */
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / CHARS_PER_TOKEN);
+}
+
+// The most recent turns that fit in a provider's history budget
+function fitHistory(conversationHistory, budget) {
+  let tokens = 0;
+  let start = conversationHistory.length;
+  while (start > 0) {
+    tokens += estimateTokens(conversationHistory[start - 1].content);
+    if (tokens > budget) break;
+    start--;
   }
+  return conversationHistory.slice(start);
 }
 
-function resetExpiredProviders() {
-  const now = Date.now();
-  for (const provider of providers) {
-    if (provider.limited && provider.resetTime && now > provider.resetTime) {
-      provider.limited = false;
-      provider.resetTime = null;
-      console.log(`✅ ${provider.name} provider reset`);
-    }
+// Characters sent to the provider (system prompt, history and message)
+function promptSize(systemPrompt, conversationHistory, userMessage) {
+  return systemPrompt.length + userMessage.length + conversationHistory.reduce((sum, m) => sum + String(m.content || '').length, 0);
+}
+
+/**
+ * Find the FAQ entries most relevant to a message, to ground the AI answer
+ * @param {string} userMessage - The user's message
+ * @returns {Array} Matching questions (id, question, answer, confidence, ...)
+ */
+function retrieveFAQEntries(userMessage) {
+  try {
+    const { candidates } = searchOps.match(userMessage, RAG_MAX_ENTRIES * 2);
+    return candidates
+      .filter(c => c.confidence >= RAG_MIN_CONFIDENCE)
+      .slice(0, RAG_MAX_ENTRIES);
+  } catch (error) {
+    console.error('❌ FAQ retrieval failed:', error.message || error);
+    return [];
   }
 }
 
-function getAvailableProviders() {
-  resetExpiredProviders();
-  return providers
-    .filter(p => !p.limited)
-    .sort((a, b) => a.priority - b.priority);
-}
-
-// Gemini chat function
-async function chatWithGemini(client, userMessage, conversationHistory = []) {
-  // Using flash-lite for lower quota usage
-  const model = client.getGenerativeModel({ model: 'gemini-2.0-flash-lite' });
-  
-  // Build prompt with context
-  const fullPrompt = conversationHistory.length > 0 
-    ? `${SKSU_CONTEXT}\n\nConversation so far:\n${conversationHistory.map(m => `${m.role}: ${m.content}`).join('\n')}\n\nUser: ${userMessage}\n\nAssistant:`
-    : `${SKSU_CONTEXT}\n\nUser: ${userMessage}\n\nAssistant:`;
-
-  const result = await model.generateContent(fullPrompt);
-  return result.response.text();
-}
-
-// Cohere chat function
-async function chatWithCohere(client, userMessage, conversationHistory = []) {
-  const chatHistory = conversationHistory.map(msg => ({
-    role: msg.role === 'assistant' ? 'CHATBOT' : 'USER',
-    message: msg.content
-  }));
-
-  // Using smaller 7B model for lower quota usage
-  const response = await client.chat({
-    message: userMessage,
-    preamble: SKSU_CONTEXT,
-    chatHistory: chatHistory,
-    model: 'command-r7b-12-2024'
+// Active system prompt (read from the database on every request) with the retrieved FAQ entries appended as citable context
+function buildSystemPrompt(faqEntries, basePrompt = promptOps.getActiveContent()) {
+  if (faqEntries.length === 0) return basePrompt;
+
+  const entries = faqEntries
+    .map(entry => `[FAQ #${entry.id}] Q: ${entry.question}\nA: ${entry.answer}`)
+    .join('\n\n');
+
+  return `${basePrompt}
+
+Official SKSU FAQ entries from the Student Manual:
+${entries}
+
+Rules for the FAQ entries:
+- When an entry answers the question, base your answer on it and never contradict it
+- Cite each entry you rely on by writing its tag (for example [FAQ #12]) after the sentence that uses it
+- If none of the entries are relevant, answer normally without citing`;
+}
+
+// Strip citation tags from the response and collect the ids of retrieved entries the model cited
+function extractCitations(response, faqEntries) {
+  const retrievedIds = new Set(faqEntries.map(entry => entry.id));
+  const citations = [];
+
+  const text = response.replace(CITATION_TAG, (tag, id) => {
+    const questionId = parseInt(id);
+    if (retrievedIds.has(questionId) && !citations.includes(questionId)) {
+      citations.push(questionId);
+    }
+    return '';
   });
 
-  return response.text;
+  return { text: text.trim(), citations };
 }
 
-// Groq chat function
-async function chatWithGroq(client, userMessage, conversationHistory = []) {
-  const messages = [
-    { role: 'system', content: SKSU_CONTEXT },
-    ...conversationHistory,
-    { role: 'user', content: userMessage }
-  ];
+/**
+ * Incrementally strip citation tags from streamed text. Text that could be the start
+ * of a tag split across chunks is held back until the next chunk resolves it.
+ * @param {Array} faqEntries - Entries that were retrieved for this message
+ * @returns {{ push: function(string): string, flush: function(): string, citations: Array<number> }}
+ */
+function createCitationFilter(faqEntries) {
+  const retrievedIds = new Set(faqEntries.map(entry => entry.id));
+  const citations = [];
+  let pending = '';
 
-  const completion = await client.chat.completions.create({
-    messages,
-    model: process.env.GROQ_MODEL || 'llama-3.1-8b-instant',
-    temperature: 0.7,
-    max_tokens: 1024,
-    top_p: 0.9
+  const strip = text => text.replace(CITATION_TAG, (tag, id) => {
+    const questionId = parseInt(id);
+    if (retrievedIds.has(questionId) && !citations.includes(questionId)) {
+      citations.push(questionId);
+    }
+    return '';
   });
 
-  return completion.choices[0]?.message?.content || '';
+  return {
+    citations,
+    push(chunk) {
+      const text = strip(pending + chunk);
+      const heldBack = text.match(PARTIAL_CITATION_TAG)[0];
+      pending = heldBack;
+      return text.slice(0, text.length - heldBack.length);
+    },
+    flush() {
+      const text = strip(pending);
+      pending = '';
+      return text;
+    }
+  };
+}
+
+// Store a flagged exchange for admin review; a logging failure must never break the answer
+function recordModeration({ channel = 'web', userSession = '' }, { message, response = '', inputFlags = [], outputFlags = [], action }) {
+  if (inputFlags.length === 0 && outputFlags.length === 0) return;
+  try {
+    moderationOps.logFlag({ channel, userSession, message, response, inputFlags, outputFlags, action });
+  } catch (error) {
+    console.error('❌ Failed to log moderation flag:', error.message || error);
+  }
 }
 
 /**
- * Chat with AI using multiple providers with automatic failover
+ * Compare the answer's numbers and dates with the retrieved FAQ entries. Below the
+ * ai_grounding_threshold setting the answer gets a disclaimer and is queued for admin review.
+ * @returns {{ response: string, grounding: { score: number|null, flagged: boolean } }}
+ */
+function applyGroundingCheck(userMessage, response, faqEntries, providerName, { channel = 'web' }) {
+  let result;
+  try {
+    result = checkGrounding(response, faqEntries, userMessage);
+  } catch (error) {
+    console.error('❌ Grounding check failed:', error.message || error);
+    return { response, grounding: { score: null, flagged: false } };
+  }
+
+  const flagged = result.score !== null && result.score < settingsOps.get('ai_grounding_threshold');
+  if (flagged) {
+    console.warn(`⚠️ AI answer grounding score ${result.score} (${result.conflicts.length} conflicting values)`);
+    try {
+      groundingOps.add({
+        message: userMessage,
+        response,
+        score: result.score,
+        conflicts: result.conflicts,
+        questionIds: faqEntries.map(entry => entry.id),
+        provider: providerName,
+        channel
+      });
+    } catch (error) {
+      console.error('❌ Failed to queue grounding review:', error.message || error);
+    }
+  }
+
+  return {
+    response: flagged ? `${response}\n\n${GROUNDING_DISCLAIMER}` : response,
+    grounding: { score: result.score, flagged }
+  };
+}
+
+// Only the opening question of a conversation is cached; later turns depend on the history
+function isCacheable(conversationHistory, summary = '') {
+  return !summary && !conversationHistory.some(m => m.role === 'assistant');
+}
+
+// Cached answer for a message under the active prompt version, if any
+function getCachedAnswer(userMessage, cacheable, promptVersion) {
+  if (!cacheable) return null;
+  try {
+    return aiCacheOps.get(userMessage, promptVersion);
+  } catch (error) {
+    console.error('❌ AI cache lookup failed:', error.message || error);
+    return null;
+  }
+}
+
+// Remember a provider's answer together with the FAQ entries it was grounded on
+function cacheAnswer(userMessage, cacheable, promptVersion, answer, faqEntries) {
+  if (!cacheable) return;
+  try {
+    aiCacheOps.set(userMessage, promptVersion, { ...answer, questionIds: faqEntries.map(entry => entry.id) });
+  } catch (error) {
+    console.error('❌ Failed to cache AI answer:', error.message || error);
+  }
+}
+
+// Earlier turns of a long chat session, folded into a summary by summarizeConversation
+function withConversationSummary(systemPrompt, summary) {
+  return summary
+    ? `${systemPrompt}\n\nSummary of the earlier conversation with this student:\n${summary}`
+    : systemPrompt;
+}
+
+// Tell the provider which language the student wrote in, so it answers in the same one
+function withReplyLanguage(systemPrompt, language) {
+  return `${systemPrompt}\n\n${replyLanguageInstruction(language)}`;
+}
+
+// Count an incoming AI message with its language; a logging failure must never break the answer
+function recordAIQuery({ channel = 'web', userSession = '' }, language) {
+  try {
+    analyticsOps.logAIQuery({ language, channel, userSession });
+  } catch (error) {
+    console.error('❌ Failed to log AI query:', error.message || error);
+  }
+}
+
+/**
+ * Render the exact system prompt a message would be sent with, without calling a provider
+ * @param {string} userMessage - Sample user message used for FAQ retrieval and language detection
+ * @param {string} basePrompt - Prompt content to preview (defaults to the active version)
+ * @returns {{ systemPrompt: string, faqEntries: Array, language: string }}
+ */
+function previewSystemPrompt(userMessage = '', basePrompt = promptOps.getActiveContent()) {
+  const faqEntries = userMessage.trim() ? retrieveFAQEntries(userMessage) : [];
+  const { language } = detectLanguage(userMessage);
+  return { systemPrompt: withReplyLanguage(buildSystemPrompt(faqEntries, basePrompt), language), faqEntries, language };
+}
+
+/**
+ * Chat with AI using multiple providers with automatic failover.
+ * The most relevant FAQ entries are retrieved first and injected as context.
+ * The message and answer pass through the safety screen (safety.js); injection attempts never reach a provider.
  * @param {string} userMessage - The user's message
  * @param {Array} conversationHistory - Previous messages for context (optional)
- * @returns {Promise<string>} AI response
+ * @param {Object} context - { channel, userSession } recorded with moderation flags and analytics, the chat session
+ *   summary of turns that are no longer sent verbatim, and the language when the caller already detected it (optional).
+ *   The provider is told to reply in the language of the message (see language.js).
+ * Standalone questions are answered from the cache while a fresh answer exists. The history is trimmed to
+ * each provider's token budget, newest turns first.
+ * @returns {Promise<{response: string, citations: Array<number>, provider: string|null, cached: boolean, blocked?: boolean, grounding?: Object}>}
+ *   AI response, ids of the FAQ questions it cited, the provider that answered, whether it came from the cache,
+ *   and for fresh answers the grounding check ({ score, flagged }); answers that fail it are not cached
  */
-async function chatWithAI(userMessage, conversationHistory = []) {
+async function chatWithAI(userMessage, conversationHistory = [], context = {}) {
+  const language = context.language || detectLanguage(userMessage).language;
+  recordAIQuery(context, language);
+
+  const input = screenInput(userMessage);
+  if (input.blocked) {
+    console.warn('🛡️ Blocked a prompt-injection attempt');
+    recordModeration(context, { message: input.text, response: BLOCKED_MESSAGE, inputFlags: input.flags, action: 'blocked' });
+    return { response: BLOCKED_MESSAGE, citations: [], provider: null, cached: false, blocked: true };
+  }
+  userMessage = input.text;
+  conversationHistory = screenHistory(conversationHistory);
+
+  const promptVersion = promptOps.getActive()?.version;
+  const cacheable = isCacheable(conversationHistory, context.summary);
+  const cachedAnswer = getCachedAnswer(userMessage, cacheable, promptVersion);
+  if (cachedAnswer) {
+    console.log(`💾 AI cache hit for "${cachedAnswer.normalized_message}"`);
+    recordModeration(context, { message: userMessage, response: cachedAnswer.response, inputFlags: input.flags, action: 'redacted' });
+    return { response: cachedAnswer.response, citations: cachedAnswer.citations, provider: cachedAnswer.provider, cached: true };
+  }
+
   const availableProviders = getAvailableProviders();
 
   if (availableProviders.length === 0) {
-    return 'The AI service is currently unavailable. All providers are rate-limited or not configured. Please try again later or use FAQ mode.';
+    recordModeration(context, { message: userMessage, inputFlags: input.flags, action: 'redacted' });
+    return {
+      response: PROVIDERS_UNAVAILABLE_MESSAGE,
+      citations: [],
+      provider: null,
+      cached: false
+    };
   }
 
-  for (const provider of availableProviders) {
+  const faqEntries = retrieveFAQEntries(userMessage);
+  const systemPrompt = withReplyLanguage(withConversationSummary(buildSystemPrompt(faqEntries), context.summary), language);
+
+  for (const { provider, keyIndex, connection } of providerAttempts(availableProviders)) {
+    const history = fitHistory(conversationHistory, provider.historyTokens);
+    const promptChars = promptSize(systemPrompt, history, userMessage);
+    const startedAt = performance.now();
     try {
       console.log(`🤖 Trying ${provider.name}...`);
-      let response;
+      const { text: response, usage } = await withTimeout(
+        provider.adapter.chat(connection, userMessage, history, systemPrompt),
+        provider
+      );
+      handleProviderSuccess(provider, keyIndex);
 
-      switch (provider.name) {
-        case 'gemini':
-          response = await chatWithGemini(provider.client, userMessage, conversationHistory);
-          break;
-        case 'cohere':
-          response = await chatWithCohere(provider.client, userMessage, conversationHistory);
-          break;
-        case 'groq':
-          response = await chatWithGroq(provider.client, userMessage, conversationHistory);
-          break;
-        default:
-          continue;
-      }
+      recordUsage(provider, keyIndex, 'chat', startedAt, promptChars, {
+        outcome: response ? 'success' : 'empty',
+        responseChars: response ? response.length : 0,
+        usage
+      });
 
       if (response) {
         console.log(`✅ ${provider.name} responded successfully`);
-        return response;
+        const { text, citations } = extractCitations(response, faqEntries);
+        const output = screenOutput(text, systemPrompt);
+        recordModeration(context, { message: userMessage, response: output.text, inputFlags: input.flags, outputFlags: output.flags, action: 'redacted' });
+        const { response: checkedResponse, grounding } = applyGroundingCheck(userMessage, output.text, faqEntries, provider.name, context);
+        const answer = { response: checkedResponse, citations, provider: provider.name };
+        if (!grounding.flagged) {
+          cacheAnswer(userMessage, cacheable, promptVersion, answer, faqEntries);
+        }
+        return { ...answer, cached: false, grounding };
       }
     } catch (error) {
-      console.error(`❌ ${provider.name} error:`, error.message || error);
-
-      // Check for rate limiting
-      if (
-        error?.status === 429 ||
-        error?.statusCode === 429 ||
-        /rate limit|quota|too many requests|resource exhausted/i.test(error?.message || '')
-      ) {
-        markProviderLimited(provider.name, 3600);
-        continue;
+      // Bench the key if needed and try the next key or provider
+      const outcome = handleProviderError(provider, keyIndex, error);
+      recordUsage(provider, keyIndex, 'chat', startedAt, promptChars, {
+        outcome,
+        errorClass: errorClassOf(error),
+        errorMessage: error?.message || String(error)
+      });
+    }
+  }
+
+  recordModeration(context, { message: userMessage, inputFlags: input.flags, action: 'redacted' });
+  return {
+    response: ALL_PROVIDERS_FAILED_MESSAGE,
+    citations: [],
+    provider: null,
+    cached: false
+  };
+}
+
+/**
+ * Stream an AI answer with the same FAQ grounding, safety screening and provider failover as chatWithAI.
+ * Yields events:
+ *   { type: 'token', text }
+ *   { type: 'error', provider, message, failover } - the provider failed; when tokens were already
+ *     sent, the client should discard them because the next provider starts over
+ *   { type: 'done', provider, citations, response, cached, blocked?, grounding? } - provider is null when no provider could answer;
+ *     an answer that fails the grounding check ends with a disclaimer token
+ * A cached answer is sent as a single token; provider output is released a sentence at a time once screened.
+ * @param {string} userMessage - The user's message
+ * @param {Array} conversationHistory - Previous messages for context (optional)
+ * @param {Object} context - { channel, userSession, summary, language } as for chatWithAI (optional)
+ */
+async function* streamChatWithAI(userMessage, conversationHistory = [], context = {}) {
+  const language = context.language || detectLanguage(userMessage).language;
+  recordAIQuery(context, language);
+
+  const input = screenInput(userMessage);
+  if (input.blocked) {
+    console.warn('🛡️ Blocked a prompt-injection attempt');
+    recordModeration(context, { message: input.text, response: BLOCKED_MESSAGE, inputFlags: input.flags, action: 'blocked' });
+    yield { type: 'token', text: BLOCKED_MESSAGE };
+    yield { type: 'done', provider: null, citations: [], response: BLOCKED_MESSAGE, cached: false, blocked: true };
+    return;
+  }
+  userMessage = input.text;
+  conversationHistory = screenHistory(conversationHistory);
+
+  const promptVersion = promptOps.getActive()?.version;
+  const cacheable = isCacheable(conversationHistory, context.summary);
+  const cachedAnswer = getCachedAnswer(userMessage, cacheable, promptVersion);
+  if (cachedAnswer) {
+    console.log(`💾 AI cache hit for "${cachedAnswer.normalized_message}"`);
+    recordModeration(context, { message: userMessage, response: cachedAnswer.response, inputFlags: input.flags, action: 'redacted' });
+    yield { type: 'token', text: cachedAnswer.response };
+    yield { type: 'done', provider: cachedAnswer.provider, citations: cachedAnswer.citations, response: cachedAnswer.response, cached: true };
+    return;
+  }
+
+  const availableProviders = getAvailableProviders().filter(p => p.adapter.stream);
+
+  if (availableProviders.length === 0) {
+    recordModeration(context, { message: userMessage, inputFlags: input.flags, action: 'redacted' });
+    yield { type: 'token', text: PROVIDERS_UNAVAILABLE_MESSAGE };
+    yield { type: 'done', provider: null, citations: [], response: PROVIDERS_UNAVAILABLE_MESSAGE, cached: false };
+    return;
+  }
+
+  const faqEntries = retrieveFAQEntries(userMessage);
+  const systemPrompt = withReplyLanguage(withConversationSummary(buildSystemPrompt(faqEntries), context.summary), language);
+
+  // A failure is reported once we know whether another attempt follows it
+  let failure = null;
+
+  for (const { provider, keyIndex, connection } of providerAttempts(availableProviders)) {
+    if (failure) {
+      yield { ...failure, failover: true };
+      failure = null;
+    }
+
+    const history = fitHistory(conversationHistory, provider.historyTokens);
+    const promptChars = promptSize(systemPrompt, history, userMessage);
+    const filter = createCitationFilter(faqEntries);
+    const outputScreen = createOutputScreen(systemPrompt);
+    const startedAt = performance.now();
+    let response = '';
+    let usage = null;
+    let tokensSent = false;
+    let recorded = false;
+
+    try {
+      console.log(`🤖 Streaming from ${provider.name}...`);
+      const stream = withStreamTimeout(provider.adapter.stream(connection, userMessage, history, systemPrompt), provider);
+
+      for await (const chunk of stream) {
+        if (chunk && typeof chunk === 'object') {
+          usage = chunk.usage;
+          continue;
+        }
+
+        const text = outputScreen.push(filter.push(chunk || ''));
+        if (text) {
+          response += text;
+          tokensSent = true;
+          yield { type: 'token', text };
+        }
       }
 
-      // Check for auth errors - don't retry this provider
-      if (
-        error?.status === 401 ||
-        error?.statusCode === 401 ||
-        /invalid.*key|unauthorized|authentication/i.test(error?.message || '')
-      ) {
-        markProviderLimited(provider.name, 86400); // 24 hours for auth errors
-        continue;
+      const rest = outputScreen.push(filter.flush()) + outputScreen.flush();
+      if (rest) {
+        response += rest;
+        yield { type: 'token', text: rest };
       }
 
-      // For other errors, try next provider
-      continue;
+      handleProviderSuccess(provider, keyIndex);
+      recorded = true;
+      recordUsage(provider, keyIndex, 'stream', startedAt, promptChars, {
+        outcome: response.trim() ? 'success' : 'empty',
+        responseChars: response.length,
+        usage
+      });
+
+      if (response.trim()) {
+        console.log(`✅ ${provider.name} streamed successfully`);
+        recordModeration(context, { message: userMessage, response: response.trim(), inputFlags: input.flags, outputFlags: outputScreen.flags, action: 'redacted' });
+
+        const { response: checkedResponse, grounding } = applyGroundingCheck(userMessage, response.trim(), faqEntries, provider.name, context);
+        if (grounding.flagged) {
+          yield { type: 'token', text: `\n\n${GROUNDING_DISCLAIMER}` };
+        }
+
+        const answer = { response: checkedResponse, citations: filter.citations, provider: provider.name };
+        if (!grounding.flagged) {
+          cacheAnswer(userMessage, cacheable, promptVersion, answer, faqEntries);
+        }
+        yield { type: 'done', ...answer, cached: false, grounding };
+        return;
+      }
+    } catch (error) {
+      const outcome = handleProviderError(provider, keyIndex, error);
+      recorded = true;
+      recordUsage(provider, keyIndex, 'stream', startedAt, promptChars, {
+        outcome,
+        errorClass: errorClassOf(error),
+        errorMessage: error?.message || String(error),
+        responseChars: response.length
+      });
+      failure = {
+        type: 'error',
+        provider: provider.name,
+        message: tokensSent
+          ? `${provider.name} failed mid-response; discard the partial answer.`
+          : `${provider.name} failed before responding.`
+      };
+    } finally {
+      // The client went away mid-stream
+      if (!recorded) {
+        provider.keyPool.releaseKey(keyIndex);
+        recordUsage(provider, keyIndex, 'stream', startedAt, promptChars, { outcome: 'aborted', responseChars: response.length, usage });
+      }
     }
   }
 
-  return 'I apologize, but all AI services are currently unavailable. Please try again later or use FAQ mode for instant answers.';
+  if (failure) {
+    yield { ...failure, failover: false };
+  }
+  recordModeration(context, { message: userMessage, inputFlags: input.flags, action: 'redacted' });
+  yield { type: 'token', text: ALL_PROVIDERS_FAILED_MESSAGE };
+  yield { type: 'done', provider: null, citations: [], response: ALL_PROVIDERS_FAILED_MESSAGE, cached: false };
+}
+
+// Send one request with a task-specific system prompt to the first provider that answers. Used for admin
+// and background tasks: the request is not screened, cached or grounding-checked. options.maxTokens and
+// options.timeoutMs allow longer answers than chat. Resolves to { text, provider }, or null when no provider could answer.
+async function completeWithAI(request, systemPrompt, mode, options = {}) {
+  const promptChars = promptSize(systemPrompt, [], request);
+
+  for (const { provider, keyIndex, connection } of providerAttempts(getAvailableProviders())) {
+    const startedAt = performance.now();
+    try {
+      const { text, usage } = await withTimeout(
+        provider.adapter.chat(connection, request, [], systemPrompt, { maxTokens: options.maxTokens }),
+        provider,
+        Math.max(provider.timeoutMs, options.timeoutMs || 0)
+      );
+      handleProviderSuccess(provider, keyIndex);
+      recordUsage(provider, keyIndex, mode, startedAt, promptChars, {
+        outcome: text ? 'success' : 'empty',
+        responseChars: text ? text.length : 0,
+        usage
+      });
+      if (text && text.trim()) return { text, provider: provider.name };
+    } catch (error) {
+      const outcome = handleProviderError(provider, keyIndex, error);
+      recordUsage(provider, keyIndex, mode, startedAt, promptChars, {
+        outcome,
+        errorClass: errorClassOf(error),
+        errorMessage: error?.message || String(error)
+      });
+    }
+  }
+  return null;
+}
+
+/**
+ * Fold older chat turns into a running summary, using the first provider that answers
+ * @param {string} previousSummary - Summary of even older turns ('' if none)
+ * @param {Array} turns - [{ role, content }] to fold in
+ * @returns {Promise<string|null>} The new summary, or null when no provider could summarize
+ */
+async function summarizeConversation(previousSummary, turns) {
+  const transcript = turns.map(t => `${t.role === 'assistant' ? 'Assistant' : 'Student'}: ${t.content}`).join('\n');
+  const request = previousSummary
+    ? `Summary so far:\n${previousSummary}\n\nLater messages:\n${transcript}\n\nWrite the updated summary.`
+    : `Conversation:\n${transcript}\n\nWrite the summary.`;
+
+  const result = await completeWithAI(request, SUMMARY_SYSTEM_PROMPT, 'summary');
+  return result ? screenOutput(extractCitations(result.text, []).text).text : null;
+}
+
+/**
+ * Run an admin drafting request (see faq-drafts.js). The FAQ entries most relevant to the request are
+ * appended to the instructions so drafts stay consistent with them. The request is sent as written:
+ * it is admin-supplied source material, so contact details in it must survive, and the safety screen,
+ * cache and grounding check meant for student chat don't apply.
+ * @param {string} request - Drafting request including the source text
+ * @param {string} instructions - System prompt for the task
+ * @returns {Promise<{ text: string, provider: string }|null>} The reply, or null when no provider answered
+ */
+async function draftWithAI(request, instructions) {
+  const systemPrompt = buildSystemPrompt(retrieveFAQEntries(request), instructions);
+  const result = await completeWithAI(request, systemPrompt, 'draft', { maxTokens: DRAFT_MAX_TOKENS, timeoutMs: DRAFT_TIMEOUT_MS });
+  return result && { text: extractCitations(result.text, []).text, provider: result.provider };
 }
 
 /**
- * Get information about configured providers
+ * Get information about configured providers, including each provider's circuit
+ * (closed, open or half_open, with recent state changes) and the state of every key
  */
 function getProvidersInfo() {
-  return providers.map(p => ({
-    name: p.name,
-    priority: p.priority,
-    limited: p.limited,
-    resetTime: p.resetTime
-  }));
+  return providers.map(p => {
+    const keys = p.keyPool.getKeysInfo();
+    const limitedKeys = keys.filter(k => k.limited);
+    const circuit = p.breaker.getState();
+    const keysResetTime = limitedKeys.length > 0 ? Math.min(...limitedKeys.map(k => k.resetTime || Infinity)) : null;
+    return {
+      name: p.name,
+      priority: p.priority,
+      model: p.model,
+      dailyQuota: p.dailyQuota,
+      historyTokens: p.historyTokens,
+      timeoutMs: p.timeoutMs,
+      // Limited while the circuit is open or every key is cooling down
+      limited: !p.breaker.isAvailable() || limitedKeys.length === keys.length,
+      resetTime: circuit.retryAt || (limitedKeys.length === keys.length && Number.isFinite(keysResetTime) ? keysResetTime : null),
+      circuit,
+      keys: {
+        total: keys.length,
+        available: keys.length - limitedKeys.length,
+        limited: limitedKeys.length,
+        nextResetTime: Number.isFinite(keysResetTime) ? keysResetTime : null,
+        states: keys.map(({ index, state, resetTime, lastError }) => ({ index, state, resetTime, lastError }))
+      }
+    };
+  });
+}
+
+/**
+ * Close a provider's circuit and all of its keys' circuits, e.g. after fixing a key
+ * @param {string} name - Provider name
+ * @returns {boolean} Whether the provider exists
+ */
+function resetProvider(name) {
+  const provider = providers.find(p => p.name === name);
+  if (!provider) return false;
+  provider.breaker.reset();
+  provider.keyPool.reset();
+  return true;
 }
 
-export { chatWithAI, getProvidersInfo, SKSU_CONTEXT };
+export { chatWithAI, streamChatWithAI, summarizeConversation, draftWithAI, estimateTokens, previewSystemPrompt, getProvidersInfo, resetProvider, registerProvider };
@@ -0,0 +1,97 @@
+import { aiQuotaOps } from './db.js';
+
+// AI message quotas, per user when logged in and per IP (web) or sender (Messenger) for guests.
+// Shared by the aiQuota middleware (/api/ai/chat and the stream) and answerQuestion, whose AI
+// fallback (/api/ask and the Messenger bot) counts against the same quota.
+
+/**
+ * Quota identity of a web request (use after optionalAuth)
+ * @param {Object} req - Express request
+ * @returns {string} 'user:<id>' or 'guest:<ip>'
+ */
+export function webQuotaIdentity(req) {
+  return req.user?.id ? `user:${req.user.id}` : `guest:${req.ip}`;
+}
+
+// Result of a check or reservation, with retryAfter and a friendly message when the quota is used up
+function describeQuota(limits, quota, userId) {
+  if (quota.allowed) return { allowed: true, limits, quota, eventId: quota.eventId ?? null };
+
+  const retryAfter = quota[quota.exceeded].resetSeconds;
+  const period = quota.exceeded === 'hourly' ? 'this hour' : 'today';
+  const waitMinutes = Math.ceil(retryAfter / 60);
+  const usedUpMessage = `You've used all ${quota[quota.exceeded].limit} AI messages for ${period}. ` +
+    `You can ask again in about ${waitMinutes} minute${waitMinutes === 1 ? '' : 's'}.`;
+  return {
+    allowed: false,
+    limits,
+    quota,
+    retryAfter,
+    usedUpMessage,
+    message: `${usedUpMessage} ` +
+      (userId ? 'In the meantime, FAQ mode still answers instantly.' : 'Log in for a higher limit, or use FAQ mode, which has no limit.')
+  };
+}
+
+/**
+ * Check whether an identity may send another AI message (nothing is recorded)
+ * @param {string} identity - Quota identity, e.g. 'user:12', 'guest:1.2.3.4' or 'messenger:<sender id>'
+ * @param {number|null} userId - Logged-in user, for their limits and overrides; null for guests
+ * @returns {{ allowed: boolean, limits: Object, quota: Object, retryAfter?: number, usedUpMessage?: string, message?: string }}
+ *   retryAfter (seconds) and a friendly message are set when the quota is used up; message points AI chat
+ *   users to FAQ mode, usedUpMessage only says the limit was reached
+ */
+export function checkAIQuota(identity, userId = null) {
+  const limits = aiQuotaOps.getLimits(userId);
+  return describeQuota(limits, aiQuotaOps.check(identity, limits), userId);
+}
+
+/**
+ * Check the quota and, when it allows, count one AI message before the AI is called
+ * @param {string} identity - Quota identity
+ * @param {number|null} userId - Logged-in user; null for guests
+ * @returns {Object} As checkAIQuota, with the quota after this message and the eventId to refund when it was counted
+ */
+export function reserveAIMessage(identity, userId = null) {
+  const limits = aiQuotaOps.getLimits(userId);
+  return describeQuota(limits, aiQuotaOps.reserve(identity, limits), userId);
+}
+
+/**
+ * Give back a reserved message, e.g. when the request was refused
+ * @param {number} eventId - eventId from reserveAIMessage
+ */
+export function refundAIMessage(eventId) {
+  aiQuotaOps.refund(eventId);
+}
+
+/**
+ * X-AI-Quota-* headers for a checked or reserved request
+ * @param {Object} check - Result of checkAIQuota or reserveAIMessage
+ * @returns {Object} Header names and values; the Reset headers are the seconds until a slot frees up (0 when none is used)
+ */
+export function quotaHeaders({ limits, quota }) {
+  return {
+    'X-AI-Quota-Tier': limits.tier,
+    'X-AI-Quota-Limit-Hour': String(quota.hourly.limit),
+    'X-AI-Quota-Remaining-Hour': String(quota.hourly.remaining),
+    'X-AI-Quota-Reset-Hour': String(quota.hourly.resetSeconds),
+    'X-AI-Quota-Limit-Day': String(quota.daily.limit),
+    'X-AI-Quota-Remaining-Day': String(quota.daily.remaining),
+    'X-AI-Quota-Reset-Day': String(quota.daily.resetSeconds)
+  };
+}
+
+/**
+ * Body of a 429 response for a used-up quota
+ * @param {Object} check - Result of checkAIQuota or reserveAIMessage with allowed false
+ * @returns {Object}
+ */
+export function quotaExceededBody({ limits, quota, retryAfter, message }) {
+  return {
+    error: message,
+    quotaExceeded: quota.exceeded,
+    retryAfter,
+    quota: { tier: limits.tier, hourly: quota.hourly, daily: quota.daily }
+  };
+}
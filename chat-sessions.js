@@ -0,0 +1,94 @@
+import { chatSessionOps, settingsOps } from './db.js';
+import { summarizeConversation, estimateTokens } from './ai-providers.js';
+import { screenInput } from './safety.js';
+
+// Server-held AI chat sessions. The client keeps only the session id; the server stores the turns,
+// sends the recent ones verbatim and folds older ones into a model-written summary once the
+// unsummarized history grows past the chat_summary_trigger_tokens setting.
+
+// Sessions being summarized right now, so overlapping messages don't fold the same turns twice
+const compacting = new Set();
+
+/**
+ * Start a chat session
+ * @param {number|null} userId - Logged-in user, or null for a guest
+ * @param {string} channel - 'web' or 'messenger'
+ * @returns {Object} The session row
+ */
+export function startSession(userId = null, channel = 'web') {
+  return chatSessionOps.create(userId, channel);
+}
+
+/**
+ * Look up a session the caller may use: guest sessions are open to whoever holds the id,
+ * a student's sessions only to that student
+ * @param {string} sessionId - Session id from the client
+ * @param {number|null} userId - Logged-in user, if any
+ * @returns {Object|null} The session row
+ */
+export function getSession(sessionId, userId = null) {
+  const session = sessionId ? chatSessionOps.getById(String(sessionId)) : null;
+  if (!session) return null;
+  if (session.user_id && session.user_id !== userId) return null;
+  return session;
+}
+
+/**
+ * History to send with the next message: the summary of older turns plus the turns after it
+ * @param {Object} session - Session row
+ * @returns {{ history: Array<{ role: string, content: string }>, summary: string }}
+ */
+export function loadConversation(session) {
+  const turns = chatSessionOps.getTurns(session.id, session.summarized_through);
+  return {
+    history: turns.map(({ role, content }) => ({ role, content })),
+    summary: session.summary || ''
+  };
+}
+
+/**
+ * Store an answered message (screened, so personal data never reaches the session store)
+ * and summarize older turns in the background when the history has grown too long
+ * @param {Object} session - Session row
+ * @param {string} message - The user's message
+ * @param {string} response - The answer that was sent
+ */
+export function recordExchange(session, message, response) {
+  chatSessionOps.addExchange(session.id, screenInput(message).text, response);
+
+  compactSession(session.id).catch(error => {
+    console.error('❌ Failed to summarize chat session:', error.message || error);
+  });
+}
+
+/**
+ * Fold all but the most recent turns into the summary once the unsummarized turns exceed the budget.
+ * When no provider can summarize, the turns stay as they are and providers trim them to their budget.
+ * @param {string} sessionId - Session id
+ * @returns {Promise<boolean>} Whether the summary was updated
+ */
+export async function compactSession(sessionId) {
+  if (compacting.has(sessionId)) return false;
+
+  const session = chatSessionOps.getById(sessionId);
+  if (!session) return false;
+
+  const turns = chatSessionOps.getTurns(sessionId, session.summarized_through);
+  const tokens = turns.reduce((sum, turn) => sum + estimateTokens(turn.content), 0);
+  if (tokens <= settingsOps.get('chat_summary_trigger_tokens')) return false;
+
+  const olderTurns = turns.slice(0, Math.max(0, turns.length - settingsOps.get('chat_recent_turns')));
+  if (olderTurns.length === 0) return false;
+
+  compacting.add(sessionId);
+  try {
+    const summary = await summarizeConversation(session.summary, olderTurns);
+    if (!summary) return false;
+
+    chatSessionOps.setSummary(sessionId, summary, olderTurns[olderTurns.length - 1].id);
+    console.log(`📝 Summarized ${olderTurns.length} turns of chat session ${sessionId}`);
+    return true;
+  } finally {
+    compacting.delete(sessionId);
+  }
+}
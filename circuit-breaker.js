@@ -0,0 +1,133 @@
+// Circuit breakers for AI providers and their API keys.
+//
+//   closed    - requests flow; consecutive failures are counted
+//   open      - requests are refused until the cooldown ends (from Retry-After / rate-limit
+//               reset headers when the provider sent them, otherwise exponential backoff)
+//   half_open - the cooldown ended; a single probe request is let through. Success closes the
+//               circuit, failure opens it again with a longer cooldown
+//
+// A probe that never reports back (e.g. the client left mid-stream) is given up on after
+// PROBE_TIMEOUT_MS so the circuit cannot get stuck half-open.
+
+const PROBE_TIMEOUT_MS = 60 * 1000;
+// State changes kept per breaker for the admin panel
+const MAX_TRANSITIONS = 20;
+
+/**
+ * Create a circuit breaker
+ * @param {Object} options
+ * @param {string} options.name - Name used in log messages
+ * @param {number} options.failureThreshold - Consecutive failures that open a closed circuit
+ * @param {number} options.baseCooldownSeconds - First cooldown when no retry hint was given
+ * @param {number} options.maxCooldownSeconds - Cap for the exponential backoff
+ * @returns {Object} Breaker with isAvailable, allowRequest, recordSuccess, recordFailure, releaseProbe, reset and getState
+ */
+export function createCircuitBreaker({ name, failureThreshold = 3, baseCooldownSeconds = 30, maxCooldownSeconds = 600 }) {
+  let state = 'closed';
+  let consecutiveFailures = 0;
+  // Times the circuit opened in a row without recovering; drives the backoff
+  let openStreak = 0;
+  let retryAt = null;
+  let probeStartedAt = null;
+  let lastError = null;
+  const transitions = [];
+
+  function transition(to, reason) {
+    if (state === to) return;
+    transitions.unshift({ from: state, to, reason, at: Date.now() });
+    transitions.length = Math.min(transitions.length, MAX_TRANSITIONS);
+    const log = to === 'open' ? console.warn : console.log;
+    log(`🔌 ${name} circuit ${state} -> ${to}${reason ? ` (${reason})` : ''}`);
+    state = to;
+  }
+
+  // An open circuit whose cooldown has ended becomes half-open
+  function refresh() {
+    if (state === 'open' && retryAt && Date.now() >= retryAt) {
+      transition('half_open', 'cooldown ended');
+      probeStartedAt = null;
+    }
+    if (state === 'half_open' && probeStartedAt && Date.now() - probeStartedAt > PROBE_TIMEOUT_MS) {
+      probeStartedAt = null;
+    }
+  }
+
+  function open(seconds, reason) {
+    openStreak++;
+    const backoff = Math.min(maxCooldownSeconds, baseCooldownSeconds * 2 ** (openStreak - 1));
+    const cooldown = seconds > 0 ? seconds : backoff;
+    retryAt = Date.now() + cooldown * 1000;
+    probeStartedAt = null;
+    transition('open', `${reason}; retry in ${Math.round(cooldown)}s`);
+  }
+
+  return {
+    // Whether a request could be made now (no side effects)
+    isAvailable() {
+      refresh();
+      return state === 'closed' || (state === 'half_open' && !probeStartedAt);
+    },
+
+    // Claim the right to make a request; in half-open state only one probe is let through
+    allowRequest() {
+      refresh();
+      if (state === 'closed') return true;
+      if (state === 'half_open' && !probeStartedAt) {
+        probeStartedAt = Date.now();
+        return true;
+      }
+      return false;
+    },
+
+    recordSuccess() {
+      consecutiveFailures = 0;
+      openStreak = 0;
+      retryAt = null;
+      probeStartedAt = null;
+      lastError = null;
+      transition('closed', 'request succeeded');
+    },
+
+    /**
+     * Count a failure
+     * @param {Object} failure
+     * @param {string} failure.reason - Short description, e.g. 'timeout' or 'HTTP 503'
+     * @param {number} failure.retryAfterSeconds - Cooldown the provider asked for, if any
+     * @param {boolean} failure.trip - Open immediately instead of waiting for the threshold
+     */
+    recordFailure({ reason = 'error', retryAfterSeconds = null, trip = false } = {}) {
+      refresh();
+      consecutiveFailures++;
+      lastError = { reason, at: Date.now() };
+
+      if (state === 'half_open' || trip || consecutiveFailures >= failureThreshold) {
+        open(retryAfterSeconds, state === 'half_open' ? `probe failed: ${reason}` : reason);
+      }
+    },
+
+    // Give back an unused probe, e.g. when the request was never sent
+    releaseProbe() {
+      if (state === 'half_open') probeStartedAt = null;
+    },
+
+    // Close the circuit by hand (admin reset)
+    reset() {
+      consecutiveFailures = 0;
+      openStreak = 0;
+      retryAt = null;
+      probeStartedAt = null;
+      transition('closed', 'reset by admin');
+    },
+
+    getState() {
+      refresh();
+      return {
+        state,
+        consecutiveFailures,
+        retryAt: state === 'open' ? retryAt : null,
+        lastError,
+        transitions: [...transitions]
+      };
+    }
+  };
+}
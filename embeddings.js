@@ -0,0 +1,140 @@
+// Local text embeddings for semantic FAQ search.
+// Uses hashed TF-IDF vectors over stemmed unigrams and bigrams, so nothing needs network access
+// or a bundled model. Bump EMBEDDING_MODEL whenever the vector recipe changes so stored
+// embeddings get recomputed on the next startup.
+
+export const EMBEDDING_MODEL = 'tfidf-hash-v1';
+export const EMBEDDING_DIMENSIONS = 512;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'could', 'do', 'does', 'for', 'from',
+  'have', 'has', 'how', 'i', 'if', 'in', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'should',
+  'so', 'that', 'the', 'their', 'there', 'this', 'to', 'was', 'what', 'when', 'where', 'which',
+  'who', 'why', 'will', 'with', 'would', 'you', 'your', 'still', 'get', 'shall', 'may', 'must',
+  'ang', 'ng', 'sa', 'ka', 'na', 'mga', 'ba', 'ko', 'ako', 'po', 'nga', 'sang', 'kag', 'si', 'ni'
+]);
+
+// Longest suffixes first; the stem must keep at least 3 characters
+const SUFFIXES = [
+  'ational', 'ations', 'ation', 'ements', 'ement', 'ments', 'ment', 'ness', 'ities', 'ity',
+  'ating', 'ated', 'ates', 'ate', 'ings', 'ing', 'ures', 'ure', 'ies', 'ied', 'ers', 'er',
+  'ed', 'es', 'ly', 's'
+];
+
+/**
+ * Crude suffix-stripping stemmer, good enough to map graduate/graduation or fail/failed together
+ * @param {string} word - Lowercase word
+ * @returns {string} Stem
+ */
+export function stem(word) {
+  for (const suffix of SUFFIXES) {
+    if (word.length - suffix.length >= 3 && word.endsWith(suffix)) {
+      return word.slice(0, -suffix.length);
+    }
+  }
+  return word;
+}
+
+/**
+ * Split text into stemmed, stop-word-free terms (unigrams and adjacent bigrams)
+ * @param {string} text - Raw text
+ * @returns {Array<string>} Terms
+ */
+export function extractTerms(text) {
+  const words = (String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(w => !STOP_WORDS.has(w) && w.length > 1)
+    .map(stem);
+
+  const terms = [...words];
+  for (let i = 0; i < words.length - 1; i++) {
+    terms.push(`${words[i]}_${words[i + 1]}`);
+  }
+  return terms;
+}
+
+// FNV-1a hash of a term into the vector space
+function hashTerm(term) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < term.length; i++) {
+    hash ^= term.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Compute document frequencies for a corpus of texts
+ * @param {Array<string>} texts - Corpus documents
+ * @returns {{ documentCount: number, frequencies: Map<string, number> }}
+ */
+export function buildDocumentFrequencies(texts) {
+  const frequencies = new Map();
+  for (const text of texts) {
+    for (const term of new Set(extractTerms(text))) {
+      frequencies.set(term, (frequencies.get(term) || 0) + 1);
+    }
+  }
+  return { documentCount: texts.length, frequencies };
+}
+
+/**
+ * Embed text as an L2-normalized hashed TF-IDF vector
+ * @param {string} text - Text to embed
+ * @param {{ documentCount: number, frequencies: Map<string, number> }} stats - Corpus statistics for IDF
+ * @returns {Float32Array} Embedding vector
+ */
+export function embedText(text, stats) {
+  const counts = new Map();
+  for (const term of extractTerms(text)) {
+    counts.set(term, (counts.get(term) || 0) + 1);
+  }
+
+  const vector = new Float32Array(EMBEDDING_DIMENSIONS);
+  for (const [term, count] of counts) {
+    const df = stats.frequencies.get(term) || 0;
+    const idf = Math.log((stats.documentCount + 1) / (df + 1)) + 1;
+    const hash = hashTerm(term);
+    // The top bit picks a sign so colliding terms tend to cancel instead of piling up
+    const sign = hash & 0x80000000 ? -1 : 1;
+    vector[hash % EMBEDDING_DIMENSIONS] += sign * (1 + Math.log(count)) * idf;
+  }
+
+  let norm = 0;
+  for (const value of vector) norm += value * value;
+  norm = Math.sqrt(norm);
+  if (norm > 0) {
+    for (let i = 0; i < vector.length; i++) vector[i] /= norm;
+  }
+  return vector;
+}
+
+/**
+ * Cosine similarity of two normalized vectors
+ * @param {Float32Array} a
+ * @param {Float32Array} b
+ * @returns {number} Similarity in [-1, 1]
+ */
+export function cosineSimilarity(a, b) {
+  let dot = 0;
+  for (let i = 0; i < a.length; i++) dot += a[i] * b[i];
+  return dot;
+}
+
+/**
+ * Serialize a vector for storage in a SQLite BLOB column
+ * @param {Float32Array} vector
+ * @returns {Buffer}
+ */
+export function vectorToBuffer(vector) {
+  return Buffer.from(vector.buffer, vector.byteOffset, vector.byteLength);
+}
+
+/**
+ * Restore a vector stored with vectorToBuffer
+ * @param {Buffer} buffer
+ * @returns {Float32Array}
+ */
+export function bufferToVector(buffer) {
+  const copy = new Uint8Array(buffer);
+  return new Float32Array(copy.buffer, 0, copy.byteLength / 4);
+}
@@ -0,0 +1,93 @@
+import { categoryOps, faqDraftOps } from './db.js';
+import { draftWithAI } from './ai-providers.js';
+
+// AI-assisted FAQ drafting. An admin pastes a section of the Student Manual, or picks a cluster of
+// failed search terms, and draftWithAI drafts candidate questions, answers and paraphrases. The text is
+// sent unredacted so contact details in the manual reach the drafts. Drafts are saved as pending in
+// faq_drafts (see faqDraftOps in db.js) for an admin to edit, approve or reject.
+
+// Limits so one request stays within a provider's context window and the review queue stays workable
+export const MAX_SOURCE_CHARS = 12000;
+export const MAX_SEARCH_TERMS = 20;
+const MAX_DRAFTS = 10;
+const MAX_PARAPHRASES = 5;
+
+/**
+ * Drafting instructions, with the current category names for the model to choose from
+ * @returns {string}
+ */
+function buildDraftInstructions() {
+  const categories = categoryOps.getAll().map(category => category.name);
+
+  return `You help the SKSU Student Body Organization (SBO) write entries for the student FAQ.
+Reply with a JSON array only, without any other text. Each item is an object with:
+- "question": the question as a student would ask it, in one sentence
+- "answer": 1 to 4 sentences, using only facts from the source material or the official FAQ entries below;
+  use "" when they do not contain the answer
+- "paraphrases": 2 to 4 other ways students ask the same question (Filipino or Hiligaynon phrasings are welcome)
+- "category": the best fit of: ${categories.join(', ')}
+Skip questions the official FAQ entries already answer. Write at most ${MAX_DRAFTS} items.`;
+}
+
+// Pull the JSON array out of a reply that may be wrapped in a code fence or a sentence
+function parseDraftReply(response) {
+  const start = response.indexOf('[');
+  const end = response.lastIndexOf(']');
+  if (start === -1 || end <= start) return [];
+  try {
+    const items = JSON.parse(response.slice(start, end + 1));
+    return Array.isArray(items) ? items : [];
+  } catch {
+    return [];
+  }
+}
+
+// Keep well-formed items and map category names to ids
+function normalizeDrafts(items) {
+  const categoryIds = new Map(categoryOps.getAll().map(category => [category.name.toLowerCase(), category.id]));
+  const text = value => (typeof value === 'string' ? value.trim() : '');
+
+  return items
+    .filter(item => item && text(item.question))
+    .slice(0, MAX_DRAFTS)
+    .map(item => ({
+      question: text(item.question),
+      answer: text(item.answer),
+      paraphrases: (Array.isArray(item.paraphrases) ? item.paraphrases : [])
+        .map(text)
+        .filter(Boolean)
+        .slice(0, MAX_PARAPHRASES),
+      categoryId: categoryIds.get(text(item.category).toLowerCase()) || null
+    }));
+}
+
+/**
+ * Draft FAQ entries from pasted manual text or failed search terms and save them as pending
+ * @param {Object} source
+ * @param {string} source.text - Pasted Student Manual text
+ * @param {Array<string>} source.searchTerms - Failed search terms (used when no text is given)
+ * @returns {Promise<{ drafts: Array, provider: string|null, error?: string }>} The saved drafts;
+ *   error is set when no provider answered or the reply held no usable drafts
+ */
+export async function generateDrafts({ text = '', searchTerms = [] }) {
+  const sourceType = text ? 'text' : 'failed_search';
+  const sourceText = text || searchTerms.join('\n');
+  const message = text
+    ? `Draft FAQ entries from this excerpt of the SKSU Student Manual:\n\n${text}`
+    : `Students searched the FAQ for these terms and found nothing:\n${searchTerms.map(term => `- ${term}`).join('\n')}\n\nDraft FAQ entries that would answer these searches.`;
+
+  const result = await draftWithAI(message, buildDraftInstructions());
+  if (!result) {
+    return { drafts: [], provider: null, error: 'No AI provider is available right now. Please try again later.' };
+  }
+
+  const drafts = normalizeDrafts(parseDraftReply(result.text));
+  if (drafts.length === 0) {
+    console.warn(`⚠️ ${result.provider} returned no usable FAQ drafts`);
+    return { drafts: [], provider: result.provider, error: 'The AI reply did not contain any usable drafts. Please try again.' };
+  }
+
+  const ids = faqDraftOps.addAll(sourceType, sourceText, drafts, result.provider);
+  console.log(`📝 ${result.provider} drafted ${ids.length} FAQ entries from ${sourceType === 'text' ? 'manual text' : 'failed searches'}`);
+  return { drafts: ids.map(id => faqDraftOps.getById(id)), provider: result.provider };
+}
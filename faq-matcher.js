@@ -0,0 +1,164 @@
+import { searchOps, settingsOps, analyticsOps } from './db.js';
+import { chatWithAI } from './ai-providers.js';
+import { detectLanguage } from './language.js';
+import { reserveAIMessage } from './ai-quota.js';
+
+// Shared FAQ matching used by the web API (/api/search, /api/ask) and the Messenger bot
+
+export const SEARCH_MODES = ['keyword', 'semantic', 'hybrid'];
+
+// FAQ entries offered instead of an AI answer when the AI quota is used up
+const QUOTA_FALLBACK_MATCHES = 3;
+
+// Log a query server-side; a logging failure must never break the search itself
+function recordSearch(search) {
+  try {
+    analyticsOps.logSearch(search);
+  } catch (error) {
+    console.error('❌ Failed to log search:', error.message || error);
+  }
+}
+
+/**
+ * Search the FAQ with filters, paging and facets
+ * @param {string} query - Search text
+ * @param {Object} options - { mode, categoryId, hasImage, updatedSince, page, pageSize, channel, userSession }
+ * @returns {Object} { results, total, page, pageSize, totalPages, facets, suggestion, expansions }
+ */
+export function searchFAQ(query, options = {}) {
+  const { channel = 'web', userSession = '', ...searchOptions } = options;
+  const startedAt = performance.now();
+  const result = searchOps.facetedSearch(query.trim(), searchOptions);
+
+  // Results found only through a spelling suggestion belong to the corrected query, so a typo never
+  // shows up as a popular search in autocomplete; the typed text is kept in the details. A correction
+  // that found nothing either is logged as typed, so failed searches keep the student's own words
+  const correctedTerm = result.suggestion && result.total > 0 ? result.suggestion : null;
+  recordSearch({
+    term: correctedTerm || query.trim(),
+    resultCount: result.total,
+    topQuestionId: result.results[0]?.id,
+    latencyMs: performance.now() - startedAt,
+    channel,
+    userSession,
+    details: {
+      searchMode: searchOptions.mode || 'keyword',
+      page: result.page,
+      suggestion: result.suggestion,
+      typedTerm: correctedTerm ? query.trim() : undefined
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Rank FAQ entries for a free-form message and score how confident the best match is
+ * @param {string} message - The user's message
+ * @param {number} limit - Maximum number of candidates
+ * @returns {Object} { question, confidence, candidates, threshold, confident }
+ */
+export function matchFAQ(message, limit = 5) {
+  const threshold = settingsOps.get('faq_confidence_threshold');
+  const match = searchOps.match(message.trim(), limit);
+
+  return {
+    ...match,
+    threshold,
+    confident: Boolean(match.question) && match.confidence >= threshold
+  };
+}
+
+/**
+ * Answer a message from the FAQ when the match is confident enough, otherwise from the AI
+ * @param {string} message - The user's message
+ * @param {Array} conversationHistory - Previous messages for AI context (optional)
+ * @param {Object} options - { channel, userSession } used for search and moderation logging, and
+ *   quota: { identity, userId } whose AI quota the AI fallback counts against (see ai-quota.js)
+ * @returns {Promise<Object>} { source: 'faq'|'ai'|'quota', answer, questionId, score, threshold, language, citations (ai only), ... }
+ *   language is the detected language of the message (en, fil or hil); the AI is told to reply in it.
+ *   FAQ answers carry the typo-corrected query they matched (suggestion, or null) and the number of entries
+ *   that cleared the threshold (total). source 'quota' means the AI was needed but the quota is used up; answer
+ *   is a friendly message, matches the closest FAQ entries ({ id, question, categoryId }) and retryAfter the
+ *   seconds until the next AI message is allowed. With a quota, the AI and quota results carry
+ *   quotaCheck (see reserveAIMessage) for the X-AI-Quota-* headers
+ */
+export async function answerQuestion(message, conversationHistory = [], options = {}) {
+  const { channel = 'web', userSession = '', quota = null } = options;
+  const startedAt = performance.now();
+  const match = matchFAQ(message);
+  const matched = match.question;
+  const { language } = detectLanguage(message);
+
+  // Only candidates that clear the threshold count as results, so unanswered questions show up as failed searches
+  const resultCount = match.candidates.filter(c => c.confidence >= match.threshold).length;
+  recordSearch({
+    term: message.trim(),
+    resultCount,
+    topQuestionId: matched?.id,
+    latencyMs: performance.now() - startedAt,
+    channel,
+    mode: match.confident ? 'faq' : 'ai',
+    userSession,
+    language,
+    details: { searchMode: 'ask', confidence: match.confidence, threshold: match.threshold }
+  });
+
+  if (match.confident) {
+    return {
+      source: 'faq',
+      answer: matched.answer,
+      questionId: matched.id,
+      question: matched.question,
+      categoryId: matched.category_id,
+      categoryName: matched.category_name,
+      imageUrl: matched.image_url || '',
+      score: match.confidence,
+      threshold: match.threshold,
+      suggestion: match.suggestion,
+      total: resultCount,
+      language
+    };
+  }
+
+  // The AI message is counted before the provider is called
+  const quotaCheck = quota ? reserveAIMessage(quota.identity, quota.userId || null) : null;
+  if (quotaCheck && !quotaCheck.allowed) {
+    // Without the AI, the closest FAQ entries are the best answer left
+    const matches = match.candidates
+      .filter(c => c.confidence > 0)
+      .slice(0, QUOTA_FALLBACK_MATCHES)
+      .map(c => ({ id: c.id, question: c.question, categoryId: c.category_id }));
+    return {
+      source: 'quota',
+      answer: `${quotaCheck.usedUpMessage} ` + (matches.length > 0
+        ? 'Meanwhile, these FAQ entries come closest to your question:'
+        : 'Meanwhile, try asking in a different way or browse the FAQ categories.'),
+      matches,
+      quotaExceeded: quotaCheck.quota.exceeded,
+      retryAfter: quotaCheck.retryAfter,
+      questionId: matched ? matched.id : null,
+      score: match.confidence,
+      threshold: match.threshold,
+      language,
+      quotaCheck
+    };
+  }
+
+  const { response, citations, provider, cached, blocked = false, grounding = null } = await chatWithAI(message.trim(), conversationHistory, { channel, userSession, language });
+
+  return {
+    source: 'ai',
+    answer: response,
+    citations,
+    provider,
+    cached,
+    blocked,
+    grounding,
+    questionId: matched ? matched.id : null,
+    score: match.confidence,
+    threshold: match.threshold,
+    language,
+    ...(quotaCheck && { quotaCheck })
+  };
+}
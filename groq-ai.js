@@ -1,31 +1,9 @@
 import Groq from 'groq-sdk';
 import { getAvailableClient, markKeyLimited } from './groq-client.js';
+import { promptOps } from './db.js';
 
 const DEFAULT_MODEL = process.env.GROQ_MODEL || 'llama-3.1-8b-instant';
 
-// System context about SKSU
-const SKSU_CONTEXT = `You are an AI assistant for Sultan Kudarat State University (SKSU) Student Body Organization.
-
-SKSU Information:
-- Vision: "A premier state university in Southeast Asia"
-- Mission: Providing quality education, research, and community service
-- Location: Tacurong City, Sultan Kudarat, Philippines
-- Founded: 1983
-
-You help students with:
-- Academic policies and procedures
-- Student services and welfare
-- University rules and regulations
-- Campus life and activities
-- General inquiries about SKSU
-
-Guidelines:
-- Be helpful, friendly, and professional
-- Provide accurate information about SKSU
-- If you don't know something, admit it and suggest contacting the appropriate office
-- Keep responses concise and clear
-- Use a conversational but respectful tone`;
-
 /**
  * Chat with AI using Groq
  * @param {string} userMessage - The user's message
@@ -36,7 +14,7 @@ async function chatWithAI(userMessage, conversationHistory = []) {
   try {
     // Prepare messages
     const messages = [
-      { role: 'system', content: SKSU_CONTEXT },
+      { role: 'system', content: promptOps.getActiveContent() },
       ...conversationHistory,
       { role: 'user', content: userMessage }
     ];
@@ -117,7 +95,7 @@ async function streamChatWithAI(userMessage, conversationHistory = []) {
   const messages = [
     {
       role: 'system',
-      content: SKSU_CONTEXT
+      content: promptOps.getActiveContent()
     },
     ...conversationHistory,
     {
@@ -1,21 +1,8 @@
 import Groq from 'groq-sdk';
+import { readKeysFromEnv, createKeyPool } from './key-pool.js';
 
-// Build API keys list from environment variables
-const keys = [];
-if (process.env.GROQ_API_KEYS) {
-  // comma separated
-  keys.push(...process.env.GROQ_API_KEYS.split(',').map(k => k.trim()).filter(Boolean));
-}
-
-// Allow legacy single key names
-if (process.env.GROQ_API_KEY) keys.push(process.env.GROQ_API_KEY);
-if (process.env.GROQ_API_KEY_1) keys.push(process.env.GROQ_API_KEY_1);
-if (process.env.GROQ_API_KEY_2) keys.push(process.env.GROQ_API_KEY_2);
-if (process.env.GROQ_API_KEY_3) keys.push(process.env.GROQ_API_KEY_3);
-if (process.env.GROQ_API_KEY_4) keys.push(process.env.GROQ_API_KEY_4);
-
-// Deduplicate while preserving order
-const uniqueKeys = [...new Set(keys)];
+// Build API keys list from environment variables (GROQ_API_KEYS, GROQ_API_KEY, GROQ_API_KEY_1..4)
+const uniqueKeys = readKeysFromEnv('GROQ');
 
 console.log('DEBUG: Loading Groq Keys...');
 console.log('DEBUG: GROQ_API_KEYS present:', !!process.env.GROQ_API_KEYS);
@@ -29,49 +16,18 @@ if (uniqueKeys.length === 0) {
   console.warn('⚠️ No Groq API keys found in environment (GROQ_API_KEYS/GROQ_API_KEY_1/GROQ_API_KEY). AI mode will be disabled.');
 }
 
-const clients = uniqueKeys.map(k => new Groq({ apiKey: k }));
-
-// key status tracking
-const keyStatus = uniqueKeys.map(() => ({ limited: false, resetTime: null }));
-let currentIndex = 0;
-
-function _resetIfExpired(index) {
-  const status = keyStatus[index];
-  if (status.limited && status.resetTime && Date.now() > status.resetTime) {
-    status.limited = false;
-    status.resetTime = null;
-  }
-}
+const pool = createKeyPool('Groq', uniqueKeys, apiKey => new Groq({ apiKey }));
 
 function getAvailableClient() {
-  if (clients.length === 0) return null;
-
-  // Check and reset expired statuses
-  for (let i = 0; i < keyStatus.length; i++) {
-    _resetIfExpired(i);
-  }
-
-  // Try starting from currentIndex
-  for (let i = 0; i < clients.length; i++) {
-    const idx = (currentIndex + i) % clients.length;
-    if (!keyStatus[idx].limited) {
-      currentIndex = idx; // rotate
-      return { client: clients[idx], keyIndex: idx };
-    }
-  }
-
-  return null; // no available key
+  return pool.getAvailableClient();
 }
 
 function markKeyLimited(index, seconds = 3600) {
-  if (typeof index !== 'number' || index < 0 || index >= keyStatus.length) return;
-  keyStatus[index].limited = true;
-  keyStatus[index].resetTime = Date.now() + seconds * 1000;
-  console.warn(`⚠️ Groq API key #${index + 1} marked limited until ${new Date(keyStatus[index].resetTime).toISOString()}`);
+  pool.markKeyLimited(index, seconds);
 }
 
 function getKeysInfo() {
-  return uniqueKeys.map((k, i) => ({ index: i, limited: keyStatus[i].limited, resetTime: keyStatus[i].resetTime }));
+  return pool.getKeysInfo();
 }
 
 export { getAvailableClient, markKeyLimited, getKeysInfo };
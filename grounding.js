@@ -0,0 +1,135 @@
+import { extractTerms } from './embeddings.js';
+
+// Grounding check for AI answers. Numbers (absences, GWA, fees, units, years) and dates in
+// the answer are compared with the FAQ entries it was grounded on:
+//   supported   - an FAQ sentence about the same thing (sharing key terms) states the value, or
+//                 no such sentence exists but the value appears somewhere in the entries
+//   conflicting - FAQ sentences about the same thing state other values, but not this one
+//   unchecked   - nothing in the entries talks about it (or the user mentioned the value)
+// The score is supported / (supported + conflicting), or null when there was nothing to check.
+
+export const GROUNDING_DISCLAIMER = '⚠️ Some details in this answer may not match the official SKSU FAQ. Please double-check with the Student Manual or the SBO office.';
+
+// Values that can contradict each other within the same class
+const TERM_CLASSES = {
+  month: ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'],
+  weekday: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday']
+};
+
+// Shared key terms that make an answer sentence and an FAQ sentence about the same thing
+const MIN_SHARED_TERMS = 2;
+
+const SENTENCE_BREAK = /(?<=[.!?])\s+|\n+/;
+// 1,500 / 1.75 / 3 (list markers like "1. " are skipped separately)
+const NUMBER = /\d{1,3}(?:,\d{3})+(?:\.\d+)?|\d+(?:\.\d+)?/g;
+const LIST_MARKER = /^\s*\d+[.)]\s+/;
+
+function splitSentences(text) {
+  return String(text || '').split(SENTENCE_BREAK).map(s => s.trim()).filter(Boolean);
+}
+
+// Numbers in a canonical form, so "1.0" matches "1" and "1,500" matches "1500"
+function extractNumbers(text) {
+  const values = String(text || '').replace(LIST_MARKER, '').match(NUMBER) || [];
+  return [...new Set(values.map(value => String(parseFloat(value.replace(/,/g, '')))))];
+}
+
+// Month and weekday names, as { value, termClass }
+function extractClassTerms(text) {
+  const words = new Set(String(text || '').toLowerCase().match(/\p{L}+/gu) || []);
+  const found = [];
+  for (const [termClass, values] of Object.entries(TERM_CLASSES)) {
+    for (const value of values) {
+      // "may" is too common a verb to count as the month on its own
+      if (value === 'may' && !/\bmay\s+\d/i.test(text)) continue;
+      if (words.has(value)) found.push({ value, termClass });
+    }
+  }
+  return found;
+}
+
+// Stemmed content words, without numbers
+function keyTerms(text) {
+  return new Set(extractTerms(text).filter(term => !term.includes('_') && !/^\d/.test(term)));
+}
+
+function sharedTermCount(a, b) {
+  let count = 0;
+  for (const term of a) if (b.has(term)) count++;
+  return count;
+}
+
+/**
+ * Compare the facts in an AI answer with the FAQ entries it was grounded on
+ * @param {string} answer - AI answer (citation tags already removed)
+ * @param {Array} faqEntries - Retrieved entries ({ id, question, answer })
+ * @param {string} userMessage - The question; values the user mentioned are not checked
+ * @returns {{ score: number|null, checked: number, supported: number, conflicts: Array<{ value: string, sentence: string, questionId: number, faqText: string }> }}
+ */
+export function checkGrounding(answer, faqEntries, userMessage = '') {
+  const result = { score: null, checked: 0, supported: 0, conflicts: [] };
+  if (!faqEntries.length) return result;
+
+  const faqSentences = faqEntries.flatMap(entry => splitSentences(`${entry.question}\n${entry.answer}`).map(text => ({
+    questionId: entry.id,
+    text,
+    terms: keyTerms(text),
+    numbers: extractNumbers(text),
+    classTerms: extractClassTerms(text)
+  })));
+  const faqNumbers = new Set(faqSentences.flatMap(s => s.numbers));
+  const faqClassTerms = new Set(faqSentences.flatMap(s => s.classTerms.map(t => t.value)));
+  const userNumbers = new Set(extractNumbers(userMessage));
+  const userClassTerms = new Set(extractClassTerms(userMessage).map(t => t.value));
+
+  for (const sentence of splitSentences(answer)) {
+    const numbers = extractNumbers(sentence).filter(n => !userNumbers.has(n));
+    const classTerms = extractClassTerms(sentence).filter(t => !userClassTerms.has(t.value));
+    if (numbers.length === 0 && classTerms.length === 0) continue;
+
+    // FAQ sentences about the same thing, closest first
+    const terms = keyTerms(sentence);
+    const minShared = Math.max(1, Math.min(MIN_SHARED_TERMS, terms.size));
+    const related = faqSentences
+      .map(faqSentence => ({ faqSentence, shared: sharedTermCount(terms, faqSentence.terms) }))
+      .filter(({ shared }) => shared >= minShared)
+      .sort((a, b) => b.shared - a.shared)
+      .map(({ faqSentence }) => faqSentence);
+
+    // Judge one value: states(faqSentence) says whether a sentence has it, comparable(faqSentence)
+    // whether a sentence has values of the same kind
+    const judge = (value, states, comparable, anywhere) => {
+      if (related.some(states)) {
+        result.checked++;
+        result.supported++;
+        return;
+      }
+      const evidence = related.find(comparable);
+      if (evidence) {
+        result.checked++;
+        result.conflicts.push({ value, sentence, questionId: evidence.questionId, faqText: evidence.text });
+      } else if (anywhere) {
+        result.checked++;
+        result.supported++;
+      }
+    };
+
+    for (const value of numbers) {
+      judge(value, s => s.numbers.includes(value), s => s.numbers.length > 0, faqNumbers.has(value));
+    }
+
+    for (const { value, termClass } of classTerms) {
+      judge(
+        value,
+        s => s.classTerms.some(t => t.value === value),
+        s => s.classTerms.some(t => t.termClass === termClass),
+        faqClassTerms.has(value)
+      );
+    }
+  }
+
+  if (result.checked > 0) {
+    result.score = Math.round((result.supported / result.checked) * 100) / 100;
+  }
+  return result;
+}
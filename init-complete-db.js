@@ -42,6 +42,7 @@ db.exec(`
     image_url TEXT,
     display_order INTEGER DEFAULT 0,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE CASCADE
   )
 `);
@@ -118,6 +119,14 @@ db.exec(`
     question_id INTEGER,
     category_id INTEGER,
     search_query TEXT,
+    event_data TEXT DEFAULT '{}',
+    search_term TEXT DEFAULT '',
+    mode TEXT DEFAULT 'faq',
+    normalized_term TEXT,
+    result_count INTEGER,
+    top_question_id INTEGER,
+    latency_ms INTEGER,
+    channel TEXT DEFAULT 'web',
     user_session TEXT,
     response_time INTEGER,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
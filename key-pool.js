@@ -0,0 +1,97 @@
+import { createCircuitBreaker } from './circuit-breaker.js';
+
+// Pools of API keys for one AI provider, with a cooldown per key.
+// A rate-limited key is benched on its own, so the provider keeps working on its other keys.
+
+// Backoff for a rate-limited key when the provider sent no reset time: 1 minute, doubling up to an hour
+const KEY_BASE_COOLDOWN_SECONDS = 60;
+const KEY_MAX_COOLDOWN_SECONDS = 3600;
+
+/**
+ * Read a provider's keys from the environment: <PREFIX>_API_KEYS (comma separated),
+ * <PREFIX>_API_KEY and the legacy <PREFIX>_API_KEY_1 .. <PREFIX>_API_KEY_4
+ * @param {string} prefix - Environment prefix, e.g. 'GROQ'
+ * @returns {Array<string>} Unique keys in order
+ */
+export function readKeysFromEnv(prefix) {
+  const keys = [];
+  if (process.env[`${prefix}_API_KEYS`]) {
+    keys.push(...process.env[`${prefix}_API_KEYS`].split(',').map(k => k.trim()).filter(Boolean));
+  }
+  for (const name of ['API_KEY', 'API_KEY_1', 'API_KEY_2', 'API_KEY_3', 'API_KEY_4']) {
+    if (process.env[`${prefix}_${name}`]) keys.push(process.env[`${prefix}_${name}`].trim());
+  }
+
+  // Deduplicate while preserving order
+  return [...new Set(keys)];
+}
+
+/**
+ * Create a key pool
+ * @param {string} name - Provider name used in log messages
+ * @param {Array<string>} keys - API keys
+ * @param {function(string): Object} createClient - Builds an SDK client for one key
+ * @returns {Object} Pool with getAvailableClient, markKeyLimited, markKeySucceeded, hasAvailableKey, reset and getKeysInfo
+ */
+export function createKeyPool(name, keys, createClient) {
+  const clients = keys.map(key => createClient(key));
+  // Each key has its own circuit: a rate limit opens it at once, and after the cooldown
+  // one request probes whether the key works again
+  const breakers = keys.map((key, index) => createCircuitBreaker({
+    name: `${name} API key #${index + 1}`,
+    failureThreshold: 1,
+    baseCooldownSeconds: KEY_BASE_COOLDOWN_SECONDS,
+    maxCooldownSeconds: KEY_MAX_COOLDOWN_SECONDS
+  }));
+  let currentIndex = 0;
+
+  return {
+    size: keys.length,
+
+    // Current key's client, moving on to the next key once it is limited; null when all keys are benched
+    getAvailableClient() {
+      for (let i = 0; i < clients.length; i++) {
+        const idx = (currentIndex + i) % clients.length;
+        if (breakers[idx].allowRequest()) {
+          currentIndex = idx;
+          return { client: clients[idx], keyIndex: idx };
+        }
+      }
+      return null;
+    },
+
+    // Bench one key, for a number of seconds (e.g. from Retry-After) or with exponential backoff when omitted
+    markKeyLimited(index, seconds = null, reason = 'rate limited') {
+      if (typeof index !== 'number' || index < 0 || index >= breakers.length) return;
+      breakers[index].recordFailure({ reason, retryAfterSeconds: seconds, trip: true });
+    },
+
+    // A request on this key worked; closes its circuit after a probe
+    markKeySucceeded(index) {
+      if (typeof index !== 'number' || index < 0 || index >= breakers.length) return;
+      breakers[index].recordSuccess();
+    },
+
+    // Give back a probe that was claimed but never used
+    releaseKey(index) {
+      breakers[index]?.releaseProbe();
+    },
+
+    hasAvailableKey() {
+      return breakers.some(breaker => breaker.isAvailable());
+    },
+
+    // Close every key's circuit (admin reset)
+    reset() {
+      breakers.forEach(breaker => breaker.reset());
+    },
+
+    // Per-key status (never the keys themselves)
+    getKeysInfo() {
+      return breakers.map((breaker, index) => {
+        const { state, retryAt, lastError } = breaker.getState();
+        return { index, state, limited: !breaker.isAvailable(), resetTime: retryAt, lastError };
+      });
+    }
+  };
+}
@@ -0,0 +1,81 @@
+// Local language detection for student messages: English, Filipino (including Taglish) or Hiligaynon.
+// Each language has a list of common function words. The words Filipino and Hiligaynon share
+// (ang, mga, sa, ako, wala, ...) count half for both, so the words only one of them uses decide
+// between the two. A message with no known words at all (e.g. "GWA requirements") counts as English.
+
+export const LANGUAGES = {
+  en: 'English',
+  fil: 'Filipino',
+  hil: 'Hiligaynon'
+};
+
+export const DEFAULT_LANGUAGE = 'en';
+
+const WORDS = {
+  en: [
+    'the', 'is', 'are', 'was', 'were', 'what', 'how', 'when', 'where', 'why', 'who', 'which', 'can', 'could',
+    'do', 'does', 'did', 'i', 'my', 'me', 'you', 'your', 'to', 'of', 'a', 'an', 'in', 'on', 'for', 'if', 'will',
+    'would', 'should', 'have', 'has', 'need', 'and', 'or', 'about', 'with', 'it', 'be', 'am', 'not', 'there',
+    'this', 'that', 'many', 'much', 'get', 'please', 'thanks', 'thank'
+  ],
+  fil: [
+    'ng', 'nang', 'po', 'opo', 'hindi', 'saan', 'nasaan', 'kailan', 'bakit', 'magkano', 'ilan', 'sino', 'yung',
+    'iyong', 'kasi', 'kung', 'kapag', 'pag', 'meron', 'mayroon', 'naman', 'kami', 'tayo', 'natin', 'namin', 'ito',
+    'iyan', 'yan', 'dito', 'doon', 'nila', 'kayo', 'ninyo', 'lahat', 'din', 'rin', 'talaga', 'sana', 'ngayon',
+    'kanina', 'gaano', 'ba', 'kailangan', 'puwede', 'akin', 'anong', 'mag', 'nag'
+  ],
+  hil: [
+    'sang', 'nga', 'kag', 'kon', 'gid', 'bala', 'indi', 'abi', 'diin', 'san-o', 'ngaa', 'pila', 'sin-o', 'ara',
+    'may-ara', 'amo', 'ini', 'ina', 'sina', 'didto', 'diri', 'subong', 'buas', 'kamo', 'ila', 'namon', 'naton',
+    'aton', 'imo', 'akon', 'kinahanglan', 'bangud', 'tungod', 'basi', 'ayhan', 'palihog', 'bal-an',
+    'mahimo', 'madamo', 'gamay', 'maayo', 'guid', 'naga', 'gina'
+  ],
+  // Common to Filipino and Hiligaynon
+  shared: [
+    'ang', 'mga', 'sa', 'ako', 'ko', 'mo', 'ka', 'ikaw', 'siya', 'sila', 'niya', 'ano', 'paano', 'pano', 'wala',
+    'pwede', 'gusto', 'lang', 'na', 'pa', 'salamat', 'para'
+  ]
+};
+
+const WORD_SETS = Object.fromEntries(Object.entries(WORDS).map(([language, words]) => [language, new Set(words)]));
+
+/**
+ * Detect the language of a message
+ * @param {string} text - Message text
+ * @returns {{ language: 'en'|'fil'|'hil', scores: { en: number, fil: number, hil: number } }}
+ */
+export function detectLanguage(text) {
+  const scores = { en: 0, fil: 0, hil: 0 };
+  const words = String(text || '').toLowerCase().match(/[\p{L}]+(?:-[\p{L}]+)?/gu) || [];
+
+  for (const word of words) {
+    for (const language of Object.keys(scores)) {
+      if (WORD_SETS[language].has(word)) scores[language]++;
+    }
+    if (WORD_SETS.shared.has(word)) {
+      scores.fil += 0.5;
+      scores.hil += 0.5;
+    }
+  }
+
+  // Ties between the two go to Filipino
+  const philippine = scores.hil > scores.fil ? 'hil' : 'fil';
+  const language = scores[philippine] > scores.en ? philippine : DEFAULT_LANGUAGE;
+  return { language, scores };
+}
+
+/**
+ * System prompt line telling the provider which language to answer in
+ * @param {string} language - Language code from detectLanguage
+ * @returns {string}
+ */
+export function replyLanguageInstruction(language) {
+  if (language === 'en' || !LANGUAGES[language]) {
+    return 'The student wrote in English. Reply in English.';
+  }
+
+  const name = LANGUAGES[language];
+  return `The student wrote in ${name}${language === 'fil' ? ' (Tagalog, possibly mixed with English)' : ' (Ilonggo)'}. Reply in ${name}.
+The FAQ entries are in English: translate their facts faithfully, write numbers as digits, and keep the names of
+offices, documents and forms as they are written.`;
+}
@@ -1,6 +1,6 @@
 import express from 'express';
 import { categoryOps, questionOps } from './db.js';
-import { chatWithAI } from './groq-ai.js';
+import { answerQuestion } from './faq-matcher.js';
 
 const router = express.Router();
 
@@ -81,15 +81,25 @@ async function handleMessage(senderId, message) {
             return;
         }
         
-        // Search FAQ first
-        const searchResults = questionOps.search(userMessage);
-
-        if (searchResults.length > 0) {
+        // Answer from the FAQ when the match is confident enough, otherwise fall back to AI
+        // Messenger senders get the guest AI quota, keyed by their sender id
+        const result = await answerQuestion(userMessage, [], {
+            channel: 'messenger',
+            userSession: `messenger:${senderId}`,
+            quota: { identity: `messenger:${senderId}`, userId: null }
+        });
+        console.log(`🔎 Messenger answer source: ${result.source} (score ${result.score}, question ${result.questionId}, language ${result.language})`);
+
+        if (result.source === 'quota') {
+            // AI needed but the sender's quota is used up; list the closest FAQ entries instead
+            const closest = result.matches.map(match => `• ${match.question}`).join('\n');
+            await sendTextMessage(senderId, `⏳ ${result.answer}${closest ? `\n\n${closest}` : ''}`);
+            await sendQuickReplies(senderId, "You can still browse the FAQ:", [
+                { title: "Browse categories", payload: "BROWSE_CATEGORIES" }
+            ]);
+        } else if (result.source === 'faq') {
             // Found FAQ answer
-            const topResult = searchResults[0];
-            const category = categoryOps.getById(topResult.category_id);
-            
-            const response = `${topResult.answer}\n\n📁 Category: ${category.name}`;
+            const response = `${result.answer}\n\n📁 Category: ${result.categoryName}`;
             await sendTextMessage(senderId, response);
             
             // Send quick replies for more questions
@@ -99,9 +109,8 @@ async function handleMessage(senderId, message) {
                 { title: "Talk to AI", payload: "AI_MODE" }
             ]);
         } else {
-            // No FAQ found, use AI
-            const aiResponse = await chatWithAI(userMessage);
-            await sendTextMessage(senderId, `🤖 AI Response:\n\n${aiResponse}`);
+            // No confident FAQ match, answered by AI
+            await sendTextMessage(senderId, `🤖 AI Response:\n\n${result.answer}`);
             
             await sendQuickReplies(senderId, "Was this helpful?", [
                 { title: "👍 Yes", payload: "HELPFUL_YES" },
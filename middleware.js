@@ -1,4 +1,5 @@
 import { authOps } from './auth.js';
+import { webQuotaIdentity, reserveAIMessage, refundAIMessage, quotaHeaders, quotaExceededBody } from './ai-quota.js';
 
 // Middleware to verify JWT token
 export const authenticateToken = (req, res, next) => {
@@ -70,3 +71,27 @@ export const rateLimit = (maxRequests = 100, windowMs = 15 * 60 * 1000) => {
     next();
   };
 };
+
+// AI message quotas, per user when logged in (use after optionalAuth) and per IP for guests (see ai-quota.js).
+// Remaining quota is returned in X-AI-Quota-* headers on every response. The message is counted before the
+// route runs, so parallel requests cannot slip past the limit, and refunded when the route rejects the
+// request with a 4xx (e.g. an empty message).
+export const aiQuota = (req, res, next) => {
+  const check = reserveAIMessage(webQuotaIdentity(req), req.user?.id || null);
+  res.set(quotaHeaders(check));
+
+  if (!check.allowed) {
+    res.set('Retry-After', String(check.retryAfter));
+    return res.status(429).json(quotaExceededBody(check));
+  }
+
+  res.on('finish', () => {
+    if (res.statusCode < 400 || res.statusCode >= 500) return;
+    try {
+      refundAIMessage(check.eventId);
+    } catch (error) {
+      console.error('❌ Failed to refund AI quota usage:', error.message || error);
+    }
+  });
+  next();
+};
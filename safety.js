@@ -0,0 +1,182 @@
+import { moderationOps } from './db.js';
+
+// Safety screening for AI chat. Messages are screened before they reach any provider and
+// answers before they reach the user:
+//   - Personal data (emails, PH mobile numbers, student IDs) is replaced with a placeholder
+//   - Profanity from the admin-managed word list is masked (first letter kept)
+//   - Prompt-injection phrases block the message outright
+// Word lists live in the moderation_terms table (see moderationOps in db.js).
+
+const PII_PATTERNS = [
+  { category: 'email', pattern: /[A-Z0-9._%+-]+@[A-Z0-9-]+(?:\.[A-Z0-9-]+)*\.[A-Z]{2,}/gi, placeholder: '[email removed]' },
+  // 09171234567, 0917 123 4567, +63 917-123-4567
+  { category: 'phone', pattern: /(?<![\d+])(?:\+?63[\s-]?|0)9\d{2}[\s-]?\d{3}[\s-]?\d{4}(?!\d)/g, placeholder: '[phone number removed]' },
+  // SKSU student IDs look like 2023-12345; school years (2023-2024) have only four digits after the dash
+  { category: 'student_id', pattern: /(?<![\d-])(?:19|20)\d{2}-\d{5}(?![\d-])/g, placeholder: '[student ID removed]' }
+];
+
+// A sentence end (or line break) where streamed text can safely be screened and released
+const STREAM_BOUNDARY = /(?:[.!?](?=\s)|\n)(?![\s\S]*(?:[.!?](?=\s)|\n))/;
+// Release long text without a sentence end anyway, keeping this much back for split matches
+const STREAM_MAX_PENDING = 400;
+const STREAM_HOLD_BACK = 80;
+
+// Conversation history sent to providers: roles a client may supply, and how much of it is kept
+const HISTORY_ROLES = ['user', 'assistant'];
+const HISTORY_MAX_TURNS = 20;
+const HISTORY_MAX_TURN_CHARS = 2000;
+
+// Whole-word, case-insensitive pattern for a list of terms; multi-word terms match any whitespace
+function termPattern(terms) {
+  if (terms.length === 0) return null;
+  const alternatives = [...terms]
+    .sort((a, b) => b.length - a.length)
+    .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+'));
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+}
+
+function normalizeTerm(match) {
+  return match.toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Replace personal data with placeholders. Values that also appear in allowedText
+ * (e.g. an office email quoted from the FAQ) are kept.
+ * @param {string} text - Text to redact
+ * @param {string} allowedText - Text whose values may be repeated verbatim
+ * @returns {{ text: string, flags: Array<{ type: 'pii', category: string }> }}
+ */
+export function redactPII(text, allowedText = '') {
+  const allowed = allowedText.toLowerCase();
+  const flags = [];
+  let redacted = text;
+
+  for (const { category, pattern, placeholder } of PII_PATTERNS) {
+    redacted = redacted.replace(pattern, value => {
+      if (allowed && allowed.includes(value.toLowerCase())) return value;
+      if (!flags.some(f => f.category === category)) flags.push({ type: 'pii', category });
+      return placeholder;
+    });
+  }
+  return { text: redacted, flags };
+}
+
+/**
+ * Mask words from the profanity list, e.g. "gago" -> "g***"
+ * @param {string} text - Text to mask
+ * @returns {{ text: string, flags: Array<{ type: 'profanity', term: string }> }}
+ */
+export function maskProfanity(text) {
+  const pattern = termPattern(moderationOps.getTermList('profanity'));
+  const flags = [];
+  if (!pattern) return { text, flags };
+
+  const masked = text.replace(pattern, match => {
+    const term = normalizeTerm(match);
+    if (!flags.some(f => f.term === term)) flags.push({ type: 'profanity', term });
+    return match[0] + match.slice(1).replace(/\S/g, '*');
+  });
+  return { text: masked, flags };
+}
+
+/**
+ * Find prompt-injection phrases such as "ignore previous instructions"
+ * @param {string} text - User message
+ * @returns {Array<{ type: 'injection', term: string }>}
+ */
+export function detectInjection(text) {
+  const pattern = termPattern(moderationOps.getTermList('injection'));
+  if (!pattern) return [];
+
+  const terms = new Set([...text.matchAll(pattern)].map(match => normalizeTerm(match[0])));
+  return [...terms].map(term => ({ type: 'injection', term }));
+}
+
+/**
+ * Screen a user message before it is sent to a provider
+ * @param {string} message - The user's message
+ * @returns {{ text: string, flags: Array, blocked: boolean }} Redacted and masked text; blocked for injection attempts
+ */
+export function screenInput(message) {
+  const injection = detectInjection(message);
+  const pii = redactPII(message);
+  const profanity = maskProfanity(pii.text);
+
+  return {
+    text: profanity.text,
+    flags: [...injection, ...pii.flags, ...profanity.flags],
+    blocked: injection.length > 0
+  };
+}
+
+/**
+ * Screen an AI answer before it is returned
+ * @param {string} response - Provider output
+ * @param {string} allowedText - The system prompt, whose contact details may be quoted
+ * @returns {{ text: string, flags: Array }}
+ */
+export function screenOutput(response, allowedText = '') {
+  const pii = redactPII(response, allowedText);
+  const profanity = maskProfanity(pii.text);
+  return { text: profanity.text, flags: [...pii.flags, ...profanity.flags] };
+}
+
+/**
+ * Screen a conversation history before it is sent to a provider. Clients may send their own history
+ * (conversationHistory), so no turn is trusted: only user and assistant turns with text are kept (the
+ * newest HISTORY_MAX_TURNS, each cut to HISTORY_MAX_TURN_CHARS), turns with a prompt-injection phrase are
+ * dropped, and every other turn is redacted and masked like a new message.
+ * @param {Array} conversationHistory - [{ role, content }]
+ * @returns {Array<{ role: 'user'|'assistant', content: string }>} Screened copy
+ */
+export function screenHistory(conversationHistory) {
+  if (!Array.isArray(conversationHistory)) return [];
+
+  return conversationHistory
+    .filter(message => message && HISTORY_ROLES.includes(message.role) && typeof message.content === 'string' && message.content.trim())
+    .slice(-HISTORY_MAX_TURNS)
+    .map(message => ({ role: message.role, screened: screenInput(message.content.slice(0, HISTORY_MAX_TURN_CHARS)) }))
+    .filter(({ screened }) => !screened.blocked)
+    .map(({ role, screened }) => ({ role, content: screened.text }));
+}
+
+/**
+ * Screen streamed output a sentence at a time, so a phone number or word split across chunks is still caught
+ * @param {string} allowedText - Passed to screenOutput
+ * @returns {{ push: function(string): string, flush: function(): string, flags: Array }}
+ */
+export function createOutputScreen(allowedText = '') {
+  const flags = [];
+  let pending = '';
+
+  const screen = text => {
+    const result = screenOutput(text, allowedText);
+    for (const flag of result.flags) {
+      if (!flags.some(f => f.type === flag.type && f.category === flag.category && f.term === flag.term)) flags.push(flag);
+    }
+    return result.text;
+  };
+
+  return {
+    flags,
+    push(chunk) {
+      pending += chunk;
+      const boundary = pending.match(STREAM_BOUNDARY);
+      let cut = boundary ? boundary.index + boundary[0].length : 0;
+
+      if (!boundary && pending.length > STREAM_MAX_PENDING) {
+        cut = pending.lastIndexOf(' ', pending.length - STREAM_HOLD_BACK) + 1;
+      }
+      if (cut <= 0) return '';
+
+      const ready = pending.slice(0, cut);
+      pending = pending.slice(cut);
+      return screen(ready);
+    },
+    flush() {
+      const text = pending ? screen(pending) : '';
+      pending = '';
+      return text;
+    }
+  };
+}
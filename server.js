@@ -5,45 +5,27 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import session from 'express-session';
 import cookieParser from 'cookie-parser';
-import { categoryOps, questionOps, searchOps, voiceSettingsOps, feedbackOps, analyticsOps } from './db.js';
+import { categoryOps, questionOps, aliasOps, searchOps, synonymOps, voiceSettingsOps, settingsOps, promptOps, aiCacheOps, aiUsageOps, aiQuotaOps, moderationOps, groundingOps, chatSessionOps, faqDraftOps, feedbackOps, analyticsOps } from './db.js';
 import { authOps, userStatsOps, conversationOps, bookmarkOps, quizProgressOps, achievementOps, gamificationOps } from './auth.js';
-import { authenticateToken, optionalAuth, rateLimit } from './middleware.js';
+import { authenticateToken, optionalAuth, rateLimit, aiQuota } from './middleware.js';
 import messengerRouter from './messenger-bot.js';
-import { chatWithAI, getProvidersInfo } from './ai-providers.js';
+import { chatWithAI, streamChatWithAI, previewSystemPrompt, getProvidersInfo, resetProvider } from './ai-providers.js';
+import { SEARCH_MODES, searchFAQ, answerQuestion } from './faq-matcher.js';
+import { startSession, getSession, loadConversation, recordExchange } from './chat-sessions.js';
+import { generateDrafts, MAX_SOURCE_CHARS, MAX_SEARCH_TERMS } from './faq-drafts.js';
+import { webQuotaIdentity, checkAIQuota, quotaHeaders } from './ai-quota.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const app = express();
 
+// Behind a reverse proxy (e.g. Railway), set TRUST_PROXY=1 so req.ip is the client address
+// that guest AI quotas and rate limits are keyed on
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
 
 console.log(`🤖 AI Providers info:`, getProvidersInfo());
 
-const SKSU_CONTEXT = `You are an AI assistant for Sultan Kudarat State University (SKSU) Student Body Organization.
-
-CREATOR INFORMATION:
-- You were created by: Christian Keth Aguacito
-- When asked about your creator, developer, or who made you, always mention: "I was created by Christian Keth Aguacito"
-
-SKSU Information:
-- Vision: "A premier state university in Southeast Asia"
-- Mission: Providing quality education, research, and community service
-- Location: Tacurong City, Sultan Kudarat, Philippines
-- Founded: 1983
-
-You help students with:
-- Academic policies and procedures
-- Student services and welfare
-- University rules and regulations
-- Campus life and activities
-- General inquiries about SKSU
-
-Guidelines:
-- Be helpful, friendly, and professional
-- Provide accurate information about SKSU
-- When asked about your creator/developer, proudly mention Christian Keth Aguacito
-- If you don't know something, admit it and suggest contacting the appropriate office
-- Keep responses concise and clear
-- Use a conversational but respectful tone`;
-
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(cookieParser());
@@ -161,37 +143,199 @@ app.get('/api/questions/:id', (req, res) => {
 });
 
 // Search questions
+// mode=keyword (default): BM25-ranked full-text search with highlighted snippets and typo correction
+// mode=semantic: cosine similarity over local embeddings; mode=hybrid: rank fusion of both
+// Filters: categoryId, hasImage, updatedSince; paging: page, pageSize. Returns facet counts per category.
 app.post('/api/search', (req, res) => {
   try {
-    const { query } = req.body;
+    const params = { ...req.query, ...req.body };
+    const { query } = params;
+    const mode = params.mode || 'keyword';
+    
+    if (!SEARCH_MODES.includes(mode)) {
+      return res.status(400).json({ error: 'Invalid search mode' });
+    }
+    
+    const page = Math.max(1, parseInt(params.page) || 1);
+    const pageSize = Math.min(100, Math.max(1, parseInt(params.pageSize) || 20));
     
     if (!query || query.trim().length === 0) {
-      return res.json({ results: [] });
+      return res.json({ results: [], total: 0, page, pageSize, totalPages: 0, facets: [], suggestion: null, expansions: [], mode });
     }
     
-    const results = searchOps.search(query.trim());
-    res.json({ results });
+    let updatedSince = null;
+    if (params.updatedSince) {
+      const since = new Date(params.updatedSince);
+      if (isNaN(since.getTime())) {
+        return res.status(400).json({ error: 'Invalid updatedSince date' });
+      }
+      // Match SQLite's CURRENT_TIMESTAMP format (UTC, "YYYY-MM-DD HH:MM:SS")
+      updatedSince = since.toISOString().slice(0, 19).replace('T', ' ');
+    }
+    
+    const hasImage = params.hasImage === undefined || params.hasImage === ''
+      ? null
+      : params.hasImage === true || params.hasImage === 'true' || params.hasImage === '1';
+    
+    const result = searchFAQ(query, {
+      mode,
+      categoryId: parseInt(params.categoryId) || null,
+      hasImage,
+      updatedSince,
+      page,
+      pageSize,
+      channel: 'web',
+      userSession: params.userSession || ''
+    });
+    res.json({ ...result, mode });
   } catch (err) {
     console.error('Error in /api/search:', err);
     res.status(500).json({ error: err.message });
   }
 });
 
+// Search-as-you-type completions (question titles + popular successful searches)
+app.get('/api/search/suggest', (req, res) => {
+  try {
+    const { q = '' } = req.query;
+    if (typeof q !== 'string') {
+      return res.status(400).json({ error: 'q must be a single search text' });
+    }
+
+    const query = q.trim();
+    const limit = Math.max(1, Math.min(20, parseInt(req.query.limit) || 8));
+    
+    if (query.length === 0) {
+      return res.json({ suggestions: [] });
+    }
+    
+    const suggestions = searchOps.autocomplete(query, limit);
+    res.json({ suggestions });
+  } catch (err) {
+    console.error('Error in /api/search/suggest:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Unified answer router: answers from the FAQ when the best match clears the confidence threshold,
+// otherwise falls back to the AI, which counts against the same AI quota as /api/ai/chat
+app.post('/api/ask', optionalAuth, async (req, res) => {
+  try {
+    const { message, conversationHistory = [], userSession } = req.body;
+
+    if (!message || message.trim().length === 0) {
+      return res.status(400).json({ error: 'Message is required' });
+    }
+
+    const quota = { identity: webQuotaIdentity(req), userId: req.user?.id || null };
+    const { quotaCheck, ...result } = await answerQuestion(message, conversationHistory, {
+      channel: 'web',
+      userSession: userSession || '',
+      quota
+    });
+    // FAQ answers use no quota but still report it
+    res.set(quotaHeaders(quotaCheck || checkAIQuota(quota.identity, quota.userId)));
+    // The closest FAQ entries stand in for the AI answer; Retry-After says when the AI can be asked again
+    if (result.source === 'quota') {
+      res.set('Retry-After', String(result.retryAfter));
+    }
+    return res.json({ success: true, ...result });
+  } catch (err) {
+    console.error('Error in /api/ask:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Start a server-held AI chat session; send its sessionId with each message instead of the history
+app.post('/api/ai/sessions', optionalAuth, (req, res) => {
+  try {
+    const session = startSession(req.user?.id || null, 'web');
+    res.json({ success: true, sessionId: session.id });
+  } catch (err) {
+    console.error('Error creating chat session:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get a chat session's summary and stored turns
+app.get('/api/ai/sessions/:id', optionalAuth, (req, res) => {
+  try {
+    const session = getSession(req.params.id, req.user?.id || null);
+    if (!session) {
+      return res.status(404).json({ error: 'Chat session not found' });
+    }
+
+    const { history, summary } = loadConversation(session);
+    res.json({ sessionId: session.id, summary, turns: history, createdAt: session.created_at, updatedAt: session.updated_at });
+  } catch (err) {
+    console.error('Error getting chat session:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// End a chat session and delete its turns
+app.delete('/api/ai/sessions/:id', optionalAuth, (req, res) => {
+  try {
+    const session = getSession(req.params.id, req.user?.id || null);
+    if (!session) {
+      return res.status(404).json({ error: 'Chat session not found' });
+    }
+
+    chatSessionOps.delete(session.id);
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error deleting chat session:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// History for an AI chat request: the stored session when a sessionId is sent, otherwise the
+// client-supplied conversationHistory (trimmed to each provider's budget either way)
+function resolveConversation(req) {
+  const { sessionId, conversationHistory = [] } = req.body;
+  if (!sessionId) {
+    return { session: null, history: Array.isArray(conversationHistory) ? conversationHistory : [], summary: '' };
+  }
+
+  const session = getSession(sessionId, req.user?.id || null);
+  return session ? { session, ...loadConversation(session) } : null;
+}
+
 // AI Chat endpoint with automatic failover (Gemini -> Cohere -> Groq)
-app.post('/api/ai/chat', async (req, res) => {
+app.post('/api/ai/chat', optionalAuth, aiQuota, async (req, res) => {
   try {
-    const { message, conversationHistory = [] } = req.body;
+    const { message, userSession } = req.body;
 
     if (!message || message.trim().length === 0) {
       return res.status(400).json({ error: 'Message is required' });
     }
 
-    // Use multi-provider AI with failover
-    const aiResponse = await chatWithAI(message, conversationHistory);
+    const conversation = resolveConversation(req);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Chat session not found' });
+    }
+    const { session, history, summary } = conversation;
+
+    // Use multi-provider AI with failover, grounded in the most relevant FAQ entries
+    const { response, citations, provider, cached, blocked = false, grounding = null } = await chatWithAI(
+      message,
+      history,
+      { channel: 'web', userSession: userSession || session?.id || '', summary }
+    );
+
+    if (session && provider && !blocked) {
+      recordExchange(session, message, response);
+    }
 
     return res.json({
       success: true,
-      response: aiResponse,
+      sessionId: session?.id || null,
+      response,
+      citations,
+      provider,
+      cached,
+      blocked,
+      grounding,
       providers: getProvidersInfo()
     });
   } catch (err) {
@@ -200,6 +344,50 @@ app.post('/api/ai/chat', async (req, res) => {
   }
 });
 
+// Streaming AI chat over Server-Sent Events (token, error and done events)
+app.post('/api/ai/chat/stream', optionalAuth, aiQuota, async (req, res) => {
+  const { message, userSession } = req.body;
+
+  if (!message || message.trim().length === 0) {
+    return res.status(400).json({ error: 'Message is required' });
+  }
+
+  const conversation = resolveConversation(req);
+  if (!conversation) {
+    return res.status(404).json({ error: 'Chat session not found' });
+  }
+  const { session, history, summary } = conversation;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  const sendEvent = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  let clientGone = false;
+  res.on('close', () => { clientGone = true; });
+
+  try {
+    const context = { channel: 'web', userSession: userSession || session?.id || '', summary };
+    for await (const { type, ...data } of streamChatWithAI(message, history, context)) {
+      if (type === 'done' && session && data.provider && !data.blocked) {
+        recordExchange(session, message, data.response);
+      }
+      if (clientGone) break;
+      sendEvent(type, type === 'done' ? { ...data, sessionId: session?.id || null, providers: getProvidersInfo() } : data);
+    }
+  } catch (err) {
+    console.error('❌ AI Stream Error:', err?.message || err);
+    if (!clientGone) {
+      sendEvent('error', { provider: null, message: 'An error occurred while processing your AI request.', failover: false });
+    }
+  }
+
+  res.end();
+});
+
 // ==================== AUTHENTICATION ENDPOINTS ====================
 
 // Register new user
@@ -744,6 +932,719 @@ app.delete('/api/admin/questions/:id', (req, res) => {
   }
 });
 
+// ==================== SETTINGS ENDPOINTS ====================
+
+// Get app settings (admin only)
+app.get('/api/admin/settings', (req, res) => {
+  try {
+    const settings = settingsOps.getAll();
+    res.json({ settings });
+  } catch (err) {
+    console.error('Error getting settings:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Update app settings (admin only) - body is an object of { key: value }; nothing is saved when a value is invalid
+app.put('/api/admin/settings', (req, res) => {
+  try {
+    if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+      return res.status(400).json({ error: 'Body must be an object of { key: value }' });
+    }
+    settingsOps.setMany(req.body);
+    res.json({ success: true, settings: settingsOps.getAll() });
+  } catch (err) {
+    console.error('Error updating settings:', err);
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// ==================== PROMPT TEMPLATE ENDPOINTS ====================
+
+// List prompt versions, optionally for one template (?name=system) (admin only)
+app.get('/api/admin/prompts', (req, res) => {
+  try {
+    const prompts = promptOps.getAll(req.query.name || null);
+    res.json({ prompts });
+  } catch (err) {
+    console.error('Error getting prompts:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Render the full system prompt for a sample message without calling a provider (admin only)
+// Body: { message, content } or { message, id }; defaults to the active version
+app.post('/api/admin/prompts/preview', (req, res) => {
+  try {
+    const { message = '', content, id } = req.body;
+    let basePrompt = content;
+
+    if (!basePrompt && id) {
+      const template = promptOps.getById(parseInt(id));
+      if (!template) {
+        return res.status(404).json({ error: 'Prompt version not found' });
+      }
+      basePrompt = template.content;
+    }
+
+    const { systemPrompt, faqEntries, language } = previewSystemPrompt(message, basePrompt || promptOps.getActiveContent());
+    res.json({
+      systemPrompt,
+      language,
+      faqEntries: faqEntries.map(e => ({ id: e.id, question: e.question, confidence: e.confidence }))
+    });
+  } catch (err) {
+    console.error('Error previewing prompt:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Re-activate the version before the active one (admin only)
+app.post('/api/admin/prompts/rollback', (req, res) => {
+  try {
+    const prompt = promptOps.rollback(req.body.name || 'system');
+    if (!prompt) {
+      return res.status(409).json({ error: 'No earlier version to roll back to' });
+    }
+    res.json({ success: true, prompt });
+  } catch (err) {
+    console.error('Error rolling back prompt:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get prompt version by ID (admin only)
+app.get('/api/admin/prompts/:id', (req, res) => {
+  try {
+    const prompt = promptOps.getById(parseInt(req.params.id));
+    if (!prompt) {
+      return res.status(404).json({ error: 'Prompt version not found' });
+    }
+    res.json(prompt);
+  } catch (err) {
+    console.error('Error getting prompt:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Save an edited prompt as a new version, optionally activating it right away (admin only)
+app.post('/api/admin/prompts', (req, res) => {
+  try {
+    const { name = 'system', content, notes = '', activate = false, createdBy = 'admin' } = req.body;
+    if (!content || content.trim().length === 0) {
+      return res.status(400).json({ error: 'Prompt content is required' });
+    }
+
+    const prompt = promptOps.create(name, content.trim(), notes, createdBy, Boolean(activate));
+    res.json({ success: true, prompt });
+  } catch (err) {
+    console.error('Error saving prompt:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Make a prompt version the active one (admin only)
+app.post('/api/admin/prompts/:id/activate', (req, res) => {
+  try {
+    const prompt = promptOps.activate(parseInt(req.params.id));
+    if (!prompt) {
+      return res.status(404).json({ error: 'Prompt version not found' });
+    }
+    res.json({ success: true, prompt });
+  } catch (err) {
+    console.error('Error activating prompt:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ==================== AI PROVIDER ENDPOINTS ====================
+
+// Providers with their circuit state (closed, open or half_open), recent state changes and per-key state (admin only)
+app.get('/api/admin/ai/providers', (req, res) => {
+  try {
+    res.json({ providers: getProvidersInfo() });
+  } catch (err) {
+    console.error('Error getting AI providers:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Close a provider's circuit and un-bench its keys, e.g. after replacing a key (admin only)
+app.post('/api/admin/ai/providers/:name/reset', (req, res) => {
+  try {
+    if (!resetProvider(req.params.name)) {
+      return res.status(404).json({ error: 'Provider not found' });
+    }
+    res.json({ success: true, provider: getProvidersInfo().find(p => p.name === req.params.name) });
+  } catch (err) {
+    console.error('Error resetting AI provider:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ==================== AI USAGE ENDPOINTS ====================
+
+// Provider usage aggregates by day and by provider, with today's requests against each
+// provider's configured daily quota (?days=30) (admin only)
+app.get('/api/admin/ai/usage', (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+    const summary = aiUsageOps.getSummary(days);
+
+    const quotas = getProvidersInfo().map(provider => {
+      const today = summary.today.find(row => row.provider === provider.name);
+      const requestsToday = today ? today.attempts : 0;
+      return {
+        provider: provider.name,
+        model: provider.model,
+        requestsToday,
+        tokensToday: today ? today.total_tokens : 0,
+        dailyQuota: provider.dailyQuota,
+        quotaUsedPercent: provider.dailyQuota ? Math.round((requestsToday / provider.dailyQuota) * 1000) / 10 : null,
+        keys: provider.keys,
+        circuit: provider.circuit.state
+      };
+    });
+
+    res.json({ ...summary, quotas });
+  } catch (err) {
+    console.error('Error getting AI usage:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ==================== AI QUOTA ENDPOINTS ====================
+// Default limits are the ai_quota_* keys of /api/admin/settings
+
+// Parse an optional non-negative limit; null means "use the default"
+function parseQuotaLimit(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const limit = Number(value);
+  return Number.isInteger(limit) && limit >= 0 ? limit : undefined;
+}
+
+// Default limits and per-user overrides (admin only)
+app.get('/api/admin/ai/quotas', (req, res) => {
+  try {
+    res.json({
+      defaults: {
+        user: { hourly: settingsOps.get('ai_quota_user_hourly'), daily: settingsOps.get('ai_quota_user_daily') },
+        guest: { hourly: settingsOps.get('ai_quota_guest_hourly'), daily: settingsOps.get('ai_quota_guest_daily') }
+      },
+      overrides: aiQuotaOps.getOverrides()
+    });
+  } catch (err) {
+    console.error('Error getting AI quotas:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Set a user's own limits, e.g. for SBO officers (admin only)
+app.put('/api/admin/ai/quotas/users/:userId', (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId);
+    const hourlyLimit = parseQuotaLimit(req.body.hourlyLimit);
+    const dailyLimit = parseQuotaLimit(req.body.dailyLimit);
+
+    if (!userId || hourlyLimit === undefined || dailyLimit === undefined) {
+      return res.status(400).json({ error: 'A user id and whole-number limits (or null for the default) are required' });
+    }
+
+    aiQuotaOps.setOverride(userId, hourlyLimit, dailyLimit, req.body.note || '');
+    res.json({ success: true, limits: aiQuotaOps.getLimits(userId) });
+  } catch (err) {
+    console.error('Error setting AI quota override:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Remove a user's override so the student defaults apply again (admin only)
+app.delete('/api/admin/ai/quotas/users/:userId', (req, res) => {
+  try {
+    const result = aiQuotaOps.deleteOverride(parseInt(req.params.userId));
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Quota override not found' });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error deleting AI quota override:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ==================== AI CACHE ENDPOINTS ====================
+
+// List cached AI answers, most used first (?q= filters by question text) (admin only)
+app.get('/api/admin/ai/cache', (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    const entries = aiCacheOps.getAll({ search: req.query.q || '', limit });
+    res.json({ entries, ttlHours: settingsOps.get('ai_cache_ttl_hours') });
+  } catch (err) {
+    console.error('Error getting AI cache:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Purge the cache: everything unpinned, or only expired entries with ?expired=true;
+// ?includePinned=true also removes pinned answers (admin only)
+app.delete('/api/admin/ai/cache', (req, res) => {
+  try {
+    const result = aiCacheOps.purge({
+      expiredOnly: req.query.expired === 'true',
+      includePinned: req.query.includePinned === 'true'
+    });
+    res.json({ success: true, deleted: result.changes });
+  } catch (err) {
+    console.error('Error purging AI cache:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Pin or unpin a cached answer; pinned answers never expire (admin only)
+app.put('/api/admin/ai/cache/:id/pin', (req, res) => {
+  try {
+    const { pinned = true } = req.body;
+    const result = aiCacheOps.setPinned(parseInt(req.params.id), Boolean(pinned));
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Cache entry not found' });
+    }
+    res.json({ success: true, entry: aiCacheOps.getById(parseInt(req.params.id)) });
+  } catch (err) {
+    console.error('Error pinning AI cache entry:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Delete one cached answer (admin only)
+app.delete('/api/admin/ai/cache/:id', (req, res) => {
+  try {
+    const result = aiCacheOps.delete(parseInt(req.params.id));
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Cache entry not found' });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error deleting AI cache entry:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ==================== GROUNDING REVIEW ENDPOINTS ====================
+
+const GROUNDING_REVIEW_STATUSES = ['pending', 'confirmed', 'dismissed'];
+
+// AI answers that failed the grounding check, with the conflicting FAQ text (?status=pending|confirmed|dismissed) (admin only)
+app.get('/api/admin/ai/grounding', (req, res) => {
+  try {
+    const status = GROUNDING_REVIEW_STATUSES.includes(req.query.status) ? req.query.status : null;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    res.json({
+      reviews: groundingOps.getAll({ status, limit }),
+      counts: groundingOps.getCounts(),
+      threshold: settingsOps.get('ai_grounding_threshold')
+    });
+  } catch (err) {
+    console.error('Error getting grounding reviews:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Confirm (the answer was wrong) or dismiss (false alarm) a review, with an optional note (admin only)
+app.put('/api/admin/ai/grounding/:id', (req, res) => {
+  try {
+    const { status, note } = req.body;
+    if (!GROUNDING_REVIEW_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Status must be one of: ${GROUNDING_REVIEW_STATUSES.join(', ')}` });
+    }
+
+    const result = groundingOps.review(parseInt(req.params.id), status, note || '');
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Grounding review not found' });
+    }
+    res.json({ success: true, review: groundingOps.getById(parseInt(req.params.id)) });
+  } catch (err) {
+    console.error('Error reviewing grounding check:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ==================== MODERATION ENDPOINTS ====================
+
+const MODERATION_STATUSES = ['pending', 'reviewed', 'dismissed'];
+const MODERATION_TERM_KINDS = ['profanity', 'injection'];
+
+// List flagged AI exchanges, newest first (?status=pending|reviewed|dismissed) (admin only)
+app.get('/api/admin/moderation/flags', (req, res) => {
+  try {
+    const status = MODERATION_STATUSES.includes(req.query.status) ? req.query.status : null;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    res.json({ flags: moderationOps.getFlags({ status, limit }), counts: moderationOps.getCounts() });
+  } catch (err) {
+    console.error('Error getting moderation flags:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Mark a flag as reviewed or dismissed, with an optional note (admin only)
+app.put('/api/admin/moderation/flags/:id', (req, res) => {
+  try {
+    const { status, note } = req.body;
+    if (!MODERATION_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Status must be one of: ${MODERATION_STATUSES.join(', ')}` });
+    }
+
+    const result = moderationOps.reviewFlag(parseInt(req.params.id), status, note || '');
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Moderation flag not found' });
+    }
+    res.json({ success: true, flag: moderationOps.getFlagById(parseInt(req.params.id)) });
+  } catch (err) {
+    console.error('Error reviewing moderation flag:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get the profanity and prompt-injection word lists (?kind= for one list) (admin only)
+app.get('/api/admin/moderation/terms', (req, res) => {
+  try {
+    const kind = MODERATION_TERM_KINDS.includes(req.query.kind) ? req.query.kind : null;
+    res.json({ terms: moderationOps.getTerms(kind) });
+  } catch (err) {
+    console.error('Error getting moderation terms:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Add a word or phrase to a list (admin only)
+app.post('/api/admin/moderation/terms', (req, res) => {
+  try {
+    const { term, kind, language } = req.body;
+    if (!term || !term.trim() || !MODERATION_TERM_KINDS.includes(kind)) {
+      return res.status(400).json({ error: `Term and kind (${MODERATION_TERM_KINDS.join(' or ')}) are required` });
+    }
+
+    const result = moderationOps.addTerm(term, kind, language || '');
+    res.json({ success: true, id: result.lastInsertRowid });
+  } catch (err) {
+    if (err.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+      return res.status(409).json({ error: 'Term is already on the list' });
+    }
+    console.error('Error adding moderation term:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Remove a word or phrase (admin only)
+app.delete('/api/admin/moderation/terms/:id', (req, res) => {
+  try {
+    const result = moderationOps.deleteTerm(parseInt(req.params.id));
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Moderation term not found' });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error deleting moderation term:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ==================== SYNONYM ENDPOINTS ====================
+
+// Get all synonyms (admin only)
+app.get('/api/admin/synonyms', (req, res) => {
+  try {
+    const synonyms = synonymOps.getAll();
+    res.json({ synonyms });
+  } catch (err) {
+    console.error('Error getting synonyms:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Preview which expansions fire for a query (admin only)
+app.get('/api/admin/synonyms/preview', (req, res) => {
+  try {
+    const query = (req.query.q || '').trim();
+    if (!query) {
+      return res.status(400).json({ error: 'Query is required' });
+    }
+
+    const expansions = searchOps.expand(query);
+    const results = searchOps.search(query, 5).map(r => ({ id: r.id, question: r.question, score: r.score }));
+    res.json({ query, expansions, results });
+  } catch (err) {
+    console.error('Error previewing synonyms:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Add synonym (admin only)
+app.post('/api/admin/synonyms', (req, res) => {
+  try {
+    const { term, expansions, language } = req.body;
+    if (!synonymOps.normalizeTerm(term) || synonymOps.normalizeExpansions(expansions).length === 0) {
+      return res.status(400).json({ error: 'Term and at least one expansion, each with a letter or digit, are required' });
+    }
+
+    const result = synonymOps.add(term, expansions, language || '');
+    res.json({ success: true, id: result.lastInsertRowid });
+  } catch (err) {
+    if (err.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+      return res.status(409).json({ error: 'A synonym entry for this term already exists' });
+    }
+    console.error('Error adding synonym:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Update synonym (admin only)
+app.put('/api/admin/synonyms/:id', (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const { term, expansions, language } = req.body;
+    if (!synonymOps.normalizeTerm(term) || synonymOps.normalizeExpansions(expansions).length === 0) {
+      return res.status(400).json({ error: 'Term and at least one expansion, each with a letter or digit, are required' });
+    }
+
+    const result = synonymOps.update(id, term, expansions, language || '');
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Synonym not found' });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    if (err.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+      return res.status(409).json({ error: 'A synonym entry for this term already exists' });
+    }
+    console.error('Error updating synonym:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Delete synonym (admin only)
+app.delete('/api/admin/synonyms/:id', (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    synonymOps.delete(id);
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error deleting synonym:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ==================== QUESTION ALIAS ENDPOINTS ====================
+
+// List aliases for a question (admin only)
+app.get('/api/admin/questions/:id/aliases', (req, res) => {
+  try {
+    const questionId = parseInt(req.params.id);
+    if (!questionOps.getById(questionId)) {
+      return res.status(404).json({ error: 'Question not found' });
+    }
+
+    const aliases = aliasOps.getByQuestion(questionId);
+    res.json({ aliases });
+  } catch (err) {
+    console.error('Error getting aliases:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Add alias to a question (admin only)
+app.post('/api/admin/questions/:id/aliases', (req, res) => {
+  try {
+    const questionId = parseInt(req.params.id);
+    const { alias } = req.body;
+
+    if (!alias || alias.trim().length === 0) {
+      return res.status(400).json({ error: 'Alias is required' });
+    }
+    if (!questionOps.getById(questionId)) {
+      return res.status(404).json({ error: 'Question not found' });
+    }
+
+    const result = aliasOps.add(questionId, alias);
+    res.json({ success: true, id: result.lastInsertRowid });
+  } catch (err) {
+    if (err.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+      return res.status(409).json({ error: 'Alias already exists for this question' });
+    }
+    console.error('Error adding alias:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Remove alias from a question (admin only)
+app.delete('/api/admin/questions/:id/aliases/:aliasId', (req, res) => {
+  try {
+    const questionId = parseInt(req.params.id);
+    const aliasId = parseInt(req.params.aliasId);
+    const alias = aliasOps.getById(aliasId);
+
+    if (!alias || alias.question_id !== questionId) {
+      return res.status(404).json({ error: 'Alias not found' });
+    }
+
+    aliasOps.delete(aliasId);
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error deleting alias:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Promote a failed search term into an alias of the question it should have found (admin only)
+app.post('/api/admin/aliases/promote', (req, res) => {
+  try {
+    const { searchTerm, questionId } = req.body;
+    const id = parseInt(questionId);
+
+    if (!searchTerm || searchTerm.trim().length === 0 || !id) {
+      return res.status(400).json({ error: 'Search term and question ID are required' });
+    }
+    if (!questionOps.getById(id)) {
+      return res.status(404).json({ error: 'Question not found' });
+    }
+
+    const result = aliasOps.add(id, searchTerm, 'failed_search');
+    res.json({ success: true, id: result.lastInsertRowid });
+  } catch (err) {
+    if (err.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+      return res.status(409).json({ error: 'Alias already exists for this question' });
+    }
+    console.error('Error promoting search term:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ==================== FAQ DRAFT ENDPOINTS ====================
+
+const FAQ_DRAFT_STATUSES = ['pending', 'approved', 'rejected'];
+
+// Draft FAQ entries with the AI from pasted manual text ({ text }) or a cluster of failed searches
+// ({ searchTerms: [...] }); the drafts are saved as pending (admin only)
+app.post('/api/admin/faq-drafts/generate', async (req, res) => {
+  try {
+    const text = typeof req.body.text === 'string' ? req.body.text.trim() : '';
+    const searchTerms = Array.isArray(req.body.searchTerms)
+      ? [...new Set(req.body.searchTerms.filter(term => typeof term === 'string').map(term => term.trim()).filter(Boolean))]
+      : [];
+
+    if (!text && searchTerms.length === 0) {
+      return res.status(400).json({ error: 'Text or search terms are required' });
+    }
+    if (text.length > MAX_SOURCE_CHARS) {
+      return res.status(400).json({ error: `Text must be at most ${MAX_SOURCE_CHARS} characters; paste one section at a time` });
+    }
+    if (searchTerms.length > MAX_SEARCH_TERMS) {
+      return res.status(400).json({ error: `At most ${MAX_SEARCH_TERMS} search terms can be drafted at once` });
+    }
+
+    const result = await generateDrafts({ text, searchTerms });
+    if (result.error) {
+      return res.status(result.provider ? 502 : 503).json({ error: result.error, provider: result.provider, drafts: [] });
+    }
+    res.json({ success: true, provider: result.provider, drafts: result.drafts });
+  } catch (err) {
+    console.error('Error generating FAQ drafts:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// List FAQ drafts with their source text (?status=pending|approved|rejected) (admin only)
+app.get('/api/admin/faq-drafts', (req, res) => {
+  try {
+    const status = FAQ_DRAFT_STATUSES.includes(req.query.status) ? req.query.status : null;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    res.json({ drafts: faqDraftOps.getAll({ status, limit }), counts: faqDraftOps.getCounts() });
+  } catch (err) {
+    console.error('Error getting FAQ drafts:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Edit a pending draft; fields left out keep their current value (admin only)
+app.put('/api/admin/faq-drafts/:id', (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const draft = faqDraftOps.getById(id);
+    if (!draft) {
+      return res.status(404).json({ error: 'Draft not found' });
+    }
+    if (draft.status !== 'pending') {
+      return res.status(409).json({ error: `Draft was already ${draft.status}` });
+    }
+
+    const { categoryId, question, answer, paraphrases } = req.body;
+    if (question !== undefined && (typeof question !== 'string' || question.trim().length === 0)) {
+      return res.status(400).json({ error: 'Question cannot be empty' });
+    }
+    if (paraphrases !== undefined && !Array.isArray(paraphrases)) {
+      return res.status(400).json({ error: 'Paraphrases must be a list' });
+    }
+    if (categoryId && !categoryOps.getById(parseInt(categoryId))) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    faqDraftOps.update(id, {
+      categoryId: categoryId !== undefined ? parseInt(categoryId) || null : draft.category_id,
+      question: question !== undefined ? question.trim() : draft.question,
+      answer: answer !== undefined ? String(answer).trim() : draft.answer,
+      paraphrases: paraphrases !== undefined
+        ? paraphrases.map(p => String(p).trim()).filter(Boolean)
+        : draft.paraphrases
+    });
+    res.json({ success: true, draft: faqDraftOps.getById(id) });
+  } catch (err) {
+    console.error('Error updating FAQ draft:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Approve a pending draft: it is added as a question and its paraphrases as aliases (admin only)
+app.post('/api/admin/faq-drafts/:id/approve', (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const draft = faqDraftOps.getById(id);
+    if (!draft) {
+      return res.status(404).json({ error: 'Draft not found' });
+    }
+    if (draft.status !== 'pending') {
+      return res.status(409).json({ error: `Draft was already ${draft.status}` });
+    }
+    if (!draft.category_id || !draft.answer) {
+      return res.status(400).json({ error: 'Set a category and an answer before approving' });
+    }
+
+    const questionId = faqDraftOps.approve(id, req.body.note || '');
+    res.json({ success: true, questionId, draft: faqDraftOps.getById(id) });
+  } catch (err) {
+    console.error('Error approving FAQ draft:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Reject a pending draft, with an optional note (admin only)
+app.post('/api/admin/faq-drafts/:id/reject', (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const draft = faqDraftOps.getById(id);
+    if (!draft) {
+      return res.status(404).json({ error: 'Draft not found' });
+    }
+    if (draft.status !== 'pending') {
+      return res.status(409).json({ error: `Draft was already ${draft.status}` });
+    }
+
+    faqDraftOps.reject(id, req.body.note || '');
+    res.json({ success: true, draft: faqDraftOps.getById(id) });
+  } catch (err) {
+    console.error('Error rejecting FAQ draft:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // ==================== VOICE SETTINGS ENDPOINTS ====================
 
 // Get voice settings
@@ -0,0 +1,182 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { copyFileSync, mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+
+// Provider failover, circuit breakers and Retry-After, played against the two mock providers
+// (mock first, mock-backup second; see MOCK PROVIDER in ai-adapters.js) on a scratch copy of the database.
+// The circuits read the clock through Date.now, which the tests move forward instead of waiting.
+
+const dataDir = mkdtempSync(join(tmpdir(), 'sbo-faq-test-'));
+copyFileSync(fileURLToPath(new URL('../sbo-faq.db', import.meta.url)), join(dataDir, 'sbo-faq.db'));
+process.env.DATA_DIR = dataDir;
+delete process.env.RAILWAY_VOLUME_MOUNT_PATH;
+process.env.MOCK_AI_MODE = 'echo';
+process.env.MOCK_AI_BACKUP_MODE = 'echo';
+process.env.MOCK_AI_TIMEOUT_MS = '100';
+for (const prefix of ['GEMINI', 'COHERE', 'GROQ', 'OPENAI_COMPAT']) {
+  delete process.env[`${prefix}_API_KEY`];
+  delete process.env[`${prefix}_API_KEYS`];
+}
+
+let ai;
+let questionNumber = 0;
+
+// Every question is new, so no answer comes from the cache
+function ask() {
+  questionNumber++;
+  return ai.chatWithAI(`Test question number ${questionNumber} about the library`);
+}
+
+function providerInfo(name) {
+  return ai.getProvidersInfo().find(p => p.name === name);
+}
+
+// Move the clock forward by some seconds for the rest of the test
+function advanceClock(t, seconds) {
+  const now = Date.now() + seconds * 1000;
+  t.mock.method(Date, 'now', () => now);
+}
+
+before(async () => {
+  ai = await import('../ai-providers.js');
+});
+
+beforeEach(() => {
+  process.env.MOCK_AI_MODE = 'echo';
+  process.env.MOCK_AI_BACKUP_MODE = 'echo';
+  delete process.env.MOCK_AI_RETRY_AFTER;
+  delete process.env.MOCK_AI_DELAY_MS;
+  ai.resetProvider('mock');
+  ai.resetProvider('mock-backup');
+});
+
+after(() => {
+  rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('the first provider answers when it is healthy', async () => {
+  const result = await ask();
+  assert.equal(result.provider, 'mock');
+  assert.match(result.response, /^Echo: /);
+});
+
+test('fails over to the next provider on a server error or timeout', async () => {
+  process.env.MOCK_AI_MODE = 'server_error';
+  assert.equal((await ask()).provider, 'mock-backup');
+
+  process.env.MOCK_AI_MODE = 'timeout';
+  assert.equal((await ask()).provider, 'mock-backup');
+});
+
+test('apologizes when every provider fails', async () => {
+  process.env.MOCK_AI_MODE = 'server_error';
+  process.env.MOCK_AI_BACKUP_MODE = 'server_error';
+  const result = await ask();
+  assert.equal(result.provider, null);
+  assert.match(result.response, /currently unavailable/);
+});
+
+test('opens the circuit after three failures in a row and skips the provider', async () => {
+  process.env.MOCK_AI_MODE = 'server_error';
+  await ask();
+  await ask();
+  assert.equal(providerInfo('mock').circuit.state, 'closed');
+
+  await ask();
+  const { circuit, limited } = providerInfo('mock');
+  assert.equal(circuit.state, 'open');
+  assert.equal(limited, true);
+  assert.ok(circuit.retryAt - Date.now() > 25000, 'first cooldown is about 30 seconds');
+
+  // Even a healthy provider is not asked again until the cooldown ends
+  process.env.MOCK_AI_MODE = 'echo';
+  assert.equal((await ask()).provider, 'mock-backup');
+});
+
+test('a success resets the failure count', async () => {
+  process.env.MOCK_AI_MODE = 'server_error';
+  await ask();
+  await ask();
+  process.env.MOCK_AI_MODE = 'echo';
+  assert.equal((await ask()).provider, 'mock');
+  process.env.MOCK_AI_MODE = 'server_error';
+  await ask();
+  assert.equal(providerInfo('mock').circuit.state, 'closed');
+});
+
+test('probes a half-open circuit and closes it when the probe succeeds', async t => {
+  process.env.MOCK_AI_MODE = 'server_error';
+  await ask();
+  await ask();
+  await ask();
+  assert.equal(providerInfo('mock').circuit.state, 'open');
+
+  advanceClock(t, 31);
+  assert.equal(providerInfo('mock').circuit.state, 'half_open');
+
+  process.env.MOCK_AI_MODE = 'echo';
+  const result = await ask();
+  assert.equal(result.provider, 'mock');
+  assert.equal(providerInfo('mock').circuit.state, 'closed');
+});
+
+test('a failed probe opens the circuit again with a longer cooldown', async t => {
+  process.env.MOCK_AI_MODE = 'server_error';
+  await ask();
+  await ask();
+  await ask();
+
+  advanceClock(t, 31);
+  assert.equal((await ask()).provider, 'mock-backup');
+  const { circuit } = providerInfo('mock');
+  assert.equal(circuit.state, 'open');
+  assert.match(circuit.transitions[0].reason, /^probe failed/);
+  assert.ok(circuit.retryAt - Date.now() > 55000, 'second cooldown is about 60 seconds');
+});
+
+test('a half-open circuit lets one probe through at a time', async t => {
+  process.env.MOCK_AI_MODE = 'server_error';
+  await ask();
+  await ask();
+  await ask();
+
+  advanceClock(t, 31);
+  process.env.MOCK_AI_MODE = 'echo';
+  process.env.MOCK_AI_DELAY_MS = '30';
+  // The first request probes mock, which answers slowly; the second goes straight to the backup
+  const [probe, second] = await Promise.all([ask(), ask()]);
+  assert.equal(probe.provider, 'mock');
+  assert.equal(second.provider, 'mock-backup');
+  assert.equal(providerInfo('mock').circuit.state, 'closed');
+});
+
+test('benches a rate-limited key for the Retry-After seconds without opening the circuit', async t => {
+  process.env.MOCK_AI_MODE = 'rate_limit';
+  process.env.MOCK_AI_RETRY_AFTER = '120';
+  assert.equal((await ask()).provider, 'mock-backup');
+
+  const info = providerInfo('mock');
+  assert.equal(info.circuit.state, 'closed');
+  assert.equal(info.keys.limited, 1);
+  const benchedFor = (info.keys.states[0].resetTime - Date.now()) / 1000;
+  assert.ok(benchedFor > 115 && benchedFor <= 120, `benched for ${benchedFor}s`);
+
+  process.env.MOCK_AI_MODE = 'echo';
+  assert.equal((await ask()).provider, 'mock-backup');
+
+  advanceClock(t, 121);
+  assert.equal((await ask()).provider, 'mock');
+  assert.equal(providerInfo('mock').keys.limited, 0);
+});
+
+test('a rejected key is benched for a day', async () => {
+  process.env.MOCK_AI_MODE = 'auth_error';
+  assert.equal((await ask()).provider, 'mock-backup');
+
+  const { keys } = providerInfo('mock');
+  const benchedFor = (keys.states[0].resetTime - Date.now()) / 1000;
+  assert.ok(benchedFor > 86000, `benched for ${benchedFor}s`);
+});
@@ -0,0 +1,76 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { copyFileSync, mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+
+// Stored question vectors must stay in step with the corpus IDF as questions and aliases change,
+// checked on a scratch copy of the database.
+
+const dataDir = mkdtempSync(join(tmpdir(), 'sbo-faq-test-'));
+copyFileSync(fileURLToPath(new URL('../sbo-faq.db', import.meta.url)), join(dataDir, 'sbo-faq.db'));
+process.env.DATA_DIR = dataDir;
+delete process.env.RAILWAY_VOLUME_MOUNT_PATH;
+
+let db;
+
+before(async () => {
+  db = await import('../db.js');
+});
+
+after(() => {
+  rmSync(dataDir, { recursive: true, force: true });
+});
+
+// Two questions of the first category that has them
+function sampleQuestions() {
+  for (const category of db.categoryOps.getAll()) {
+    const questions = db.questionOps.getByCategoryId(category.id);
+    if (questions.length >= 2) return questions;
+  }
+  throw new Error('The database needs a category with two questions');
+}
+
+// The vectors as a full reindex computes them right now
+function freshVectors() {
+  db.embeddingOps.reindexAll();
+  return db.embeddingOps.getAll();
+}
+
+function assertVectorsCurrent(stored) {
+  const fresh = freshVectors();
+  assert.equal(stored.size, fresh.size);
+  for (const [questionId, vector] of fresh) {
+    assert.deepEqual(stored.get(questionId), vector, `vector of question ${questionId} is outdated`);
+  }
+}
+
+test('other questions are re-weighted when a question is added, edited or deleted', () => {
+  const [existing] = sampleQuestions();
+  const before = db.embeddingOps.getAll().get(existing.id);
+
+  // Repeating the existing question's words makes them more common, so they weigh less everywhere
+  const { lastInsertRowid: id } = db.questionOps.add(existing.category_id, existing.question, existing.answer);
+  const afterAdd = db.embeddingOps.getAll();
+  assert.notDeepEqual(afterAdd.get(existing.id), before);
+  assertVectorsCurrent(afterAdd);
+
+  db.questionOps.update(id, 'Where is the swimming pool?', 'Behind the gymnasium.', 0);
+  assertVectorsCurrent(db.embeddingOps.getAll());
+
+  db.questionOps.delete(id);
+  const afterDelete = db.embeddingOps.getAll();
+  assert.equal(afterDelete.has(id), false);
+  assert.deepEqual(afterDelete.get(existing.id), before);
+  assertVectorsCurrent(afterDelete);
+});
+
+test('other questions are re-weighted when an alias is added or deleted', () => {
+  const [first, second] = sampleQuestions();
+  const { lastInsertRowid: aliasId } = db.aliasOps.add(first.id, second.question);
+  assertVectorsCurrent(db.embeddingOps.getAll());
+
+  db.aliasOps.delete(aliasId);
+  assertVectorsCurrent(db.embeddingOps.getAll());
+});